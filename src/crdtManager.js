@@ -1,29 +1,101 @@
 // Custom conflict-free replicated data type system with vector clocks
 
 const CONSOLE_PREFIX = "PlayPeer CRDT manager: ";
+const FORBIDDEN_PATH_SEGMENTS = ["__proto__", "constructor", "prototype"];
+const COMMUTATIVE_OPERATIONS = ["counter-increment"]; // Can be applied in any order (unless clamped), so they are never placed before a garbage collected baseline
+
+/**
+ * Split a storage path (e.g. "players[2].ready") into the top-level key and the nested path segments.
+ * "\\" escapes ".", "[" and "]" in key names (e.g. "player\\.1" is the key "player.1"). Paths can also be given
+ * as array of segments (e.g. ["player.1", "ready"]), which are taken as they are
+ * @param {string | Array<string|number>} keyPath
+ * @returns {{key: string, path: Array<string|number>}} - key is undefined if the path is invalid
+ */
+function parseStoragePath(keyPath) {
+    if (Array.isArray(keyPath)) {
+        const [key, ...path] = keyPath;
+        if (typeof key !== "string" || !key || path.some(segment => typeof segment !== "string" && !Number.isInteger(segment))) return { key: undefined, path: [] };
+        return { key, path };
+    }
+
+    const input = String(keyPath);
+    const segments = [];
+    let segment = "";
+    let inBrackets = false;
+    const pushSegment = () => {
+        if (segment) segments.push(inBrackets && Number.isInteger(Number(segment)) ? Number(segment) : segment); // Indexes in brackets are numbers
+        segment = "";
+    };
+    for (let index = 0; index < input.length; index++) {
+        const char = input[index];
+        if (char === "\\" && index + 1 < input.length) {
+            segment += input[++index]; // Escaped character
+        } else if (char === "." || char === "[") {
+            pushSegment();
+            inBrackets = char === "[";
+        } else if (char === "]") {
+            pushSegment();
+            inBrackets = false;
+        } else {
+            segment += char;
+        }
+    }
+    pushSegment();
+    const [key, ...path] = segments;
+    return { key, path };
+}
+
+/**
+ * Get the nested value at a path (see parseStoragePath)
+ * @param {*} value
+ * @param {Array<string|number>} path
+ * @returns {*} - Nested value, or undefined if the path doesn't exist
+ */
+function getValueAtPath(value, path) {
+    return path.reduce((current, segment) => (current !== null && typeof current === "object" && Object.hasOwn(current, segment)) ? current[segment] : undefined, value);
+}
+
+/**
+ * Build a key path from a key and a nested path (reverse of parseStoragePath)
+ * @param {string} key
+ * @param {Array<string|number>} [path]
+ * @returns {string} - Key path (e.g. "players[2].ready")
+ */
+function formatStoragePath(key, path = []) {
+    const escape = name => String(name).replace(/[\\.[\]]/g, "\\$&");
+    return escape(key) + path.map(segment => typeof segment === "number" ? `[${segment}]` : `.${escape(segment)}`).join("");
+}
 
 class CRDTManager {
     // Storage
     #replicaId;
+    #author; // Id stamped on own operations (e.g. the peer id), to tell who made a change
     #keyOperations = new Map();
     #vectorClock = new Map();
 
     // Local only
     #propertyStore = {}; // Current local values per key, as object
-    #lastPropertyStore = {}; // Last property store to compare against
+    #lastPropertyStore = new Map(); // Serialized value per key at the last change check, to compare against
+    #dirtyKeys = new Map(); // Keys that were processed since the last change check, mapped to the author of the change
 
     // Local Garbage Collection
     #lastGCCheck = 0;
     #opUuidTimestamp = new Map(); // Map every operation to a timestamp for garbage collection
 
+    // Recording
+    #operationListener; // Called with (type, data) for every change of the operations, e.g. to record a session
+
     // Debug
     #debug = false;
 
     /**
      * Create a new instance
+     * @param {boolean} [debug]
+     * @param {string} [author] - Id stamped on own operations
      */
-    constructor(debug) {
+    constructor(debug, author) {
         if (debug) this.#debug = true;
+        this.#author = author;
         this.#replicaId = crypto.randomUUID();
         this.#vectorClock.set(this.#replicaId, 0);
     }
@@ -39,8 +111,8 @@ class CRDTManager {
 
             // Resets
             this.#opUuidTimestamp.clear();
+            Object.keys(this.#propertyStore).forEach(key => this.#dirtyKeys.set(key, undefined)); // Removed keys count as changed
             this.#propertyStore = {};
-            this.#lastPropertyStore = {};
 
             this.#keyOperations = new Map(keyOperations); // Rebuild the operations map
             this.#vectorClock = new Map(vectorClock); // Rebuild the vector clock map
@@ -55,12 +127,124 @@ class CRDTManager {
 
             // Process each key to update local values
             for (const key of this.#keyOperations.keys()) this.#processLocalProperty(key);
+            this.#notifyOperationListener("state", { state });
 
         } catch (error) {
             console.error(CONSOLE_PREFIX + "Failed to import state:", error);
         }
     }
 
+    /**
+     * Get the operations a remote replica is missing, based on its vector clock
+     * @param {Array} remoteVectorClock - Vector clock entries of the remote replica
+     * @returns {Object | null} - Delta (can be imported using importDelta), or null if the remote needs the full state because the history was garbage collected
+     */
+    getDelta(remoteVectorClock) {
+        try {
+            const remoteClock = new Map(remoteVectorClock || []);
+            if (!remoteClock.size) return null;
+
+            const keyOperations = [];
+            for (const [key, operations] of this.#keyOperations.entries()) {
+                const missingOps = operations.filter(op => !this.#isCoveredBy(op, remoteClock));
+                if (missingOps.some(op => op.compacted)) return null; // Compacted history can't be sent as delta
+                if (missingOps.length) keyOperations.push([key, missingOps]);
+            }
+
+            return {
+                keyOperations,
+                keys: [...this.#keyOperations.keys()],
+                vectorClock: [...this.#vectorClock.entries()]
+            };
+        } catch (error) {
+            console.error(CONSOLE_PREFIX + "Failed to create delta:", error);
+            return null;
+        }
+    }
+
+    /**
+     * Merge a delta into the current state (unlike importState, local operations are kept)
+     * @param {Object} delta
+     */
+    importDelta(delta) {
+        try {
+            const { keyOperations, keys, vectorClock } = delta;
+            if (this.#debug) console.log(CONSOLE_PREFIX + "Importing delta:", delta);
+            const remoteClock = new Map(vectorClock || []);
+
+            // Merge missing operations
+            for (const [key, operations] of keyOperations || []) {
+                if (FORBIDDEN_PATH_SEGMENTS.includes(key)) continue;
+                const currentOps = [...(this.#keyOperations.get(key) || [])];
+                const existingUuids = new Set(currentOps.map(op => op.uuid));
+                this.#sanitizeValue(operations).forEach((operation) => {
+                    if (!operation?.uuid || existingUuids.has(operation.uuid)) return;
+                    currentOps.push(operation);
+                    this.#opUuidTimestamp.set(operation.uuid, Date.now());
+                });
+                this.#keyOperations.set(key, this.#keepCommutativeOpsAfterBaseline(this.#sortByVectorClock(currentOps)));
+                this.#processLocalProperty(key);
+            }
+
+            // Drop keys the remote has already seen and garbage collected (e.g. deleted keys)
+            const remoteKeys = new Set(keys || []);
+            for (const [key, operations] of [...this.#keyOperations.entries()]) {
+                if (remoteKeys.has(key)) continue;
+                const unknownOps = operations.filter(op => !this.#isCoveredBy(op, remoteClock));
+                if (unknownOps.length === operations.length) continue;
+                operations.filter(op => !unknownOps.includes(op)).forEach(op => this.#opUuidTimestamp.delete(op.uuid));
+                if (!unknownOps.length) {
+                    this.#keyOperations.delete(key);
+                    delete this.#propertyStore[key];
+                    this.#dirtyKeys.set(key, undefined);
+                    continue;
+                }
+                this.#keyOperations.set(key, unknownOps);
+                this.#processLocalProperty(key);
+            }
+
+            // Merge vector clocks (always take max value)
+            for (const [id, counter] of remoteClock) {
+                if (!this.#vectorClock.has(id) || this.#vectorClock.get(id) < counter) this.#vectorClock.set(id, counter);
+            }
+
+            this.#notifyOperationListener("delta", { delta });
+            this.#checkGarbageCollection();
+
+        } catch (error) {
+            console.error(CONSOLE_PREFIX + "Failed to import delta:", error);
+        }
+    }
+
+    /**
+     * Get operations that a remote replica hasn't seen yet
+     * @param {Array} remoteVectorClock - Vector clock entries of the remote replica
+     * @param {boolean} [ownOnly] - Only include this replica's own operations (e.g. unacknowledged updates), defaults to true
+     * @returns {Array} - Property updates (can be imported using importPropertyUpdate)
+     */
+    getOperationsSince(remoteVectorClock, ownOnly = true) {
+        const remoteClock = new Map(remoteVectorClock || []);
+        const updates = [];
+        for (const [key, operations] of this.#keyOperations.entries()) {
+            operations.forEach((op) => {
+                if (ownOnly && (op.source !== this.#replicaId || op.compacted)) return;
+                if (this.#isCoveredBy(op, remoteClock)) return;
+                updates.push({ key, operation: { ...op }, vectorClock: op.vectorClock });
+            });
+        }
+        return updates;
+    }
+
+    /**
+     * Check if a vector clock already covers an operation (the replica with this clock has seen it)
+     * @param {Object} op
+     * @param {Map} clock
+     * @returns {boolean}
+     */
+    #isCoveredBy(op, clock) {
+        return (op.vectorClock || []).every(([id, counter]) => (clock.get(id) || 0) >= counter);
+    }
+
     /**
      * Import property update
      * @param {Object} data - Data to import
@@ -69,6 +253,7 @@ class CRDTManager {
         try {
             const { key, operation: rawOperation, vectorClock } = data;
             const operation = this.#sanitizeValue(rawOperation);
+            if (FORBIDDEN_PATH_SEGMENTS.includes(key)) return;
             if (this.#debug) console.log(CONSOLE_PREFIX + "Importing update:", data); // Debug
 
             // Get COPY of current ops (or empty array if none yet)
@@ -86,14 +271,16 @@ class CRDTManager {
 
             // Add new operation if it's not already added
             const existingUuids = new Set(currentOps.map(op => op.uuid));
-            if (operation.uuid && !existingUuids.has(operation.uuid)) {
+            const isNew = operation.uuid && !existingUuids.has(operation.uuid);
+            if (isNew) {
                 currentOps.push({ ...operation }); // Add operation
                 this.#opUuidTimestamp.set(operation.uuid, Date.now()); // Add timestamp for gc
             }
 
             // Sort, update operations & local value
-            this.#keyOperations.set(key, this.#sortByVectorClock(currentOps));
-            this.#processLocalProperty(key);
+            this.#keyOperations.set(key, this.#keepCommutativeOpsAfterBaseline(this.#sortByVectorClock(currentOps)));
+            this.#processLocalProperty(key, operation.author);
+            if (isNew) this.#notifyOperationListener("operation", { update: { key, operation, vectorClock } });
             this.#checkGarbageCollection();
 
         } catch (error) {
@@ -107,13 +294,16 @@ class CRDTManager {
      * @param {string} type 
      * @param {*} value 
      * @param {*} updateValue 
+     * @param {Array<string|number>} [path] - Nested path inside the property's value
      * @returns {Object} - Returns the property update
      */
-    updateProperty(key, type, value, updateValue) {
+    updateProperty(key, type, value, updateValue, path) {
         try {
             // Sanitize inputs
             value = this.#sanitizeValue(value);
             updateValue = this.#sanitizeValue(updateValue);
+            path = this.#sanitizeValue(path);
+            if (FORBIDDEN_PATH_SEGMENTS.includes(key)) throw new Error("Forbidden key.");
 
             // Debug log
             if (this.#debug) console.log(CONSOLE_PREFIX + `Updating property with key ${key}, type ${type}, value ${value} and updateValue ${updateValue}.`);
@@ -126,33 +316,105 @@ class CRDTManager {
             const currentOps = [...(this.#keyOperations.get(key) || [])];
 
             // Add operation
-            const newOp = this.#createOperation({ type, value, updateValue }, Array.from(this.#vectorClock.entries()));
+            const newOp = this.#createOperation(path?.length ? { type, value, updateValue, path } : { type, value, updateValue }, Array.from(this.#vectorClock.entries()));
+            if (this.#author !== undefined) newOp.author = this.#author;
             currentOps.push(newOp);
             this.#keyOperations.set(key, currentOps); // Update the operations (no need to sort via vector clock since local updates are always the latest)
-            this.#processLocalProperty(key); // Process local value
+            this.#processLocalProperty(key, this.#author); // Process local value
             this.#checkGarbageCollection();
 
             // Return the property update with the new operation (this can be imported using importPropertyUpdate)
-            return {
+            const update = {
                 key,
                 operation: { ...newOp },
                 vectorClock: Array.from(this.#vectorClock.entries())
             };
+            this.#notifyOperationListener("operation", { update });
+            return update;
 
         } catch (error) {
             console.error(CONSOLE_PREFIX + `Failed to add operation for key "${key}":`, error);
         }
     }
 
+    /**
+     * Revert a (local) operation, e.g. after the host rejected it
+     * @param {string} key
+     * @param {string} uuid - Uuid of the operation to remove
+     * @returns {Object | undefined} - The removed operation, if it was found
+     */
+    revertOperation(key, uuid) {
+        try {
+            const currentOps = this.#keyOperations.get(key) || [];
+            const index = currentOps.findIndex(op => op.uuid === uuid);
+            if (index === -1) {
+                console.warn(CONSOLE_PREFIX + `Could not revert operation ${uuid} for key ${key} - operation not found (it might have been garbage collected).`);
+                return;
+            }
+
+            const [removedOp] = currentOps.splice(index, 1);
+            this.#opUuidTimestamp.delete(uuid);
+            this.#notifyOperationListener("revert", { key, uuid });
+
+            // Key did not exist before this operation
+            if (!currentOps.length) {
+                this.#keyOperations.delete(key);
+                delete this.#propertyStore[key];
+                this.#dirtyKeys.set(key, undefined);
+                return removedOp;
+            }
+
+            this.#keyOperations.set(key, [...currentOps]);
+            this.#processLocalProperty(key);
+            return removedOp;
+
+        } catch (error) {
+            console.error(CONSOLE_PREFIX + `Failed to revert operation for key "${key}":`, error);
+        }
+    }
+
+    /**
+     * Set a listener that is called with (type, data) whenever the operations change: "operation" ({ update }),
+     * "state" ({ state }), "delta" ({ delta }) or "revert" ({ key, uuid }). Feeding these into another instance in the same
+     * order (see replaySession) reproduces the same values
+     * @param {function | undefined} listener - Pass undefined to remove the listener
+     */
+    setOperationListener(listener) {
+        this.#operationListener = listener;
+    }
+
+    /**
+     * @param {string} type
+     * @param {Object} data
+     */
+    #notifyOperationListener(type, data) {
+        if (!this.#operationListener) return;
+        try {
+            this.#operationListener(type, data);
+        } catch (error) {
+            console.error(CONSOLE_PREFIX + "Operation listener error:", error);
+        }
+    }
+
     #checkGarbageCollection() {
         const MIN_GC_DELAY = 1000; // Minimum 1s delay between garbage collection runs
         const MIN_AGE_FOR_GC = 5000; // Garbage collect ops that are older than 5s
+        const MIN_AGE_FOR_TOMBSTONE_GC = 30000; // Drop deleted keys entirely once the delete is 30s old (late concurrent updates should have arrived by then)
 
         try {
             if (Date.now() - this.#lastGCCheck < MIN_GC_DELAY) return;
             this.#lastGCCheck = Date.now()
 
             for (const [key, operations] of this.#keyOperations.entries()) {
+                // Drop the history of deleted keys
+                const lastOp = operations?.[operations.length - 1];
+                if (this.#isTombstone(lastOp) && (Date.now() - (this.#opUuidTimestamp.get(lastOp.uuid) || 0)) > MIN_AGE_FOR_TOMBSTONE_GC) {
+                    if (this.#debug) console.log(CONSOLE_PREFIX + `Dropping tombstone of deleted key ${key}.`);
+                    operations.forEach(op => this.#opUuidTimestamp.delete(op.uuid));
+                    this.#keyOperations.delete(key);
+                    continue;
+                }
+
                 if (operations?.length < 5) continue; // Min op amount per key for garbage collection to run (otherwise not worth it)
 
                 let retainCount = operations.length;
@@ -167,24 +429,16 @@ class CRDTManager {
 
                 if (retainCount < operations.length) {
                     if (this.#debug) console.log(CONSOLE_PREFIX + `Running garbage collection for key ${key} with current operations:`, operations);
-                    const retainOps = operations.slice(-retainCount); // Newest ops
-                    const removeOps = operations.slice(0, -retainCount); // Oldest ops (start =  idx 0, end = retainCount counted from right side)
+                    const retainOps = operations.slice(operations.length - retainCount); // Newest ops (none if all ops are old)
+                    const removeOps = operations.slice(0, operations.length - retainCount); // Oldest ops
                     const baselineVectorClock = removeOps[removeOps.length - 1]?.vectorClock || []; // Use the vector clock from the last operation that we remove/overwrite 
 
                     // Calculate the value at the point where retained operations start
-                    let baselineValue = null;
-                    for (const op of removeOps) {
-                        if (!op.data) continue;
-                        baselineValue = this.#handleOperation(
-                            baselineValue,
-                            op.data.type,
-                            op.data.value,
-                            op.data.updateValue
-                        );
-                    }
+                    const { value: baselineValue, deleted } = this.#applyOperations(removeOps);
 
-                    // Create a compact operation with baseline value and appropriate vector clock
-                    const compactOp = this.#createOperation({ type: "set", value: baselineValue }, baselineVectorClock);
+                    // Create a compact operation with baseline value (or tombstone) and appropriate vector clock
+                    const compactOp = this.#createOperation(deleted ? { type: "delete" } : { type: "set", value: baselineValue }, baselineVectorClock);
+                    compactOp.compacted = true;
 
                     // Debug log
                     if (this.#debug) console.log(CONSOLE_PREFIX + "Operations after garbage collection for this key:", [compactOp, ...retainOps]);
@@ -218,31 +472,60 @@ class CRDTManager {
     /**
      * Process a property's value by applying all operations and set it in the property store
      * @param {string} key 
+     * @param {string} [author] - Who made the change that caused the processing
      */
-    #processLocalProperty(key) {
+    #processLocalProperty(key, author) {
         try {
             const ops = this.#keyOperations.get(key);
             if (!ops?.length) return;
+            this.#dirtyKeys.set(key, author);
 
-            // Apply all operations in order
-            let value = null;
-
-            for (const op of ops) {
-                if (!op.data) continue;
-                value = this.#handleOperation(
-                    value,
-                    op.data.type,
-                    op.data.value,
-                    op.data.updateValue
-                );
-            }
-
-            this.#propertyStore[key] = value; // Save locally
+            const { value, deleted } = this.#applyOperations(ops);
+            if (deleted) delete this.#propertyStore[key]; // Key was removed
+            else this.#propertyStore[key] = value; // Save locally
         } catch (error) {
             console.error(CONSOLE_PREFIX + `Failed to process property for key ${key}:`, error);
         }
     }
 
+    /**
+     * Apply operations in order, starting from null
+     * @param {Array} ops
+     * @returns {{value: *, deleted: boolean}} - Resulting value and whether the key ended up deleted
+     */
+    #applyOperations(ops) {
+        let value = null;
+        let deleted = false;
+
+        for (const op of ops) {
+            if (!op.data) continue;
+            if (this.#isTombstone(op)) {
+                value = null;
+                deleted = true;
+                continue;
+            }
+            value = this.#handleOperation(
+                value,
+                op.data.type,
+                op.data.value,
+                op.data.updateValue,
+                op.data.path
+            );
+            deleted = false;
+        }
+
+        return { value, deleted };
+    }
+
+    /**
+     * Check if an operation deletes its whole key
+     * @param {Object} op
+     * @returns {boolean}
+     */
+    #isTombstone(op) {
+        return op?.data?.type === "delete" && !op.data.path?.length;
+    }
+
     /**
      * Sort by vector clock (causal order)
      * @param {Array} operations
@@ -279,22 +562,104 @@ class CRDTManager {
         });
     }
 
+    /**
+     * Move commutative operations (e.g. late counter increments) that sorted before a compacted baseline behind it.
+     * Otherwise the baseline's "set" would overwrite them, and the increment would be lost
+     * @param {Array} operations - Sorted operations
+     * @returns {Array} - Operations
+     */
+    #keepCommutativeOpsAfterBaseline(operations) {
+        const baselineIndex = operations.findLastIndex(op => op.compacted);
+        if (baselineIndex <= 0) return operations;
+
+        const beforeBaseline = operations.slice(0, baselineIndex);
+        const movedOps = beforeBaseline.filter(op => this.#isCommutative(op));
+        if (!movedOps.length) return operations;
+
+        return [
+            ...beforeBaseline.filter(op => !movedOps.includes(op)),
+            operations[baselineIndex],
+            ...movedOps,
+            ...operations.slice(baselineIndex + 1)
+        ];
+    }
+
+    /**
+     * Check if an operation gives the same result in any order. Clamped increments don't (the clamp depends on what was
+     * applied before), so they keep their causal position like other operations
+     * @param {Object} op
+     * @returns {boolean}
+     */
+    #isCommutative(op) {
+        if (!COMMUTATIVE_OPERATIONS.includes(op?.data?.type)) return false;
+        const clamp = op.data.updateValue;
+        return typeof clamp?.min !== "number" && typeof clamp?.max !== "number";
+    }
+
     /**
      * Handle an operation
      * @param {*} curValue 
      * @param {string} type 
      * @param {*} value 
      * @param {*} [updateValue]
+     * @param {Array<string|number>} [path] - Nested path the operation applies to
      * @returns {*} - Value after the operation
      */
-    #handleOperation(curValue, type, value, updateValue) {
+    #handleOperation(curValue, type, value, updateValue, path) {
         try {
             // Deep copy to avoid reference issues in case value is or contains object(s)
             curValue = structuredClone(curValue);
 
+            // Nested operation: apply to the value at the path, creating objects along the way
+            if (Array.isArray(path) && path.length) {
+                if (path.some(segment => FORBIDDEN_PATH_SEGMENTS.includes(segment))) return curValue;
+                const root = (curValue && typeof curValue === 'object') ? curValue : {};
+                let parent = root;
+                for (const segment of path.slice(0, -1)) {
+                    if (!parent[segment] || typeof parent[segment] !== 'object') parent[segment] = {};
+                    parent = parent[segment];
+                }
+                const lastSegment = path[path.length - 1];
+                if (type === "delete") {
+                    if (Array.isArray(parent) && typeof lastSegment === 'number') parent.splice(lastSegment, 1);
+                    else delete parent[lastSegment];
+                    return root;
+                }
+                parent[lastSegment] = this.#handleOperation(parent[lastSegment], type, value, updateValue);
+                return root;
+            }
+
             // Set operation
             if (type === "set") return value;
 
+            // Counter operations (value = delta, updateValue = optional { min, max } clamp)
+            if (type === "counter-increment") {
+                const current = typeof curValue === 'number' && Number.isFinite(curValue) ? curValue : 0;
+                const delta = typeof value === 'number' && Number.isFinite(value) ? value : 0;
+                let result = current + delta;
+                if (typeof updateValue?.min === 'number') result = Math.max(updateValue.min, result);
+                if (typeof updateValue?.max === 'number') result = Math.min(updateValue.max, result);
+                return result;
+            }
+
+            // Object operations
+            if (type.startsWith('object')) {
+                if (!curValue || typeof curValue !== 'object' || Array.isArray(curValue)) curValue = {}; // Auto-convert to object if current value isn't one
+
+                switch (type) {
+                    case 'object-merge':
+                        if (value && typeof value === 'object' && !Array.isArray(value)) {
+                            Object.entries(value).forEach(([field, fieldValue]) => {
+                                if (!FORBIDDEN_PATH_SEGMENTS.includes(field)) curValue[field] = fieldValue;
+                            });
+                        }
+                        break;
+                    case 'object-delete-field':
+                        if (!FORBIDDEN_PATH_SEGMENTS.includes(value)) delete curValue[value];
+                        break;
+                }
+            }
+
             // Array operations
             if (type.startsWith('array')) {
                 if (!Array.isArray(curValue)) curValue = []; // Auto-convert to array if current value isn't one
@@ -316,6 +681,10 @@ class CRDTManager {
                     case 'array-remove-matching':
                         curValue = curValue.filter(item => !compare(item));
                         break;
+                    case 'array-remove-one':
+                        const removeIndex = curValue.findLastIndex(compare);
+                        if (removeIndex !== -1) curValue.splice(removeIndex, 1);
+                        break;
                     case 'array-update-matching':
                         const index = curValue.findIndex(compare);
                         if (index !== -1) curValue[index] = updateValue;
@@ -353,15 +722,46 @@ class CRDTManager {
         }
     }
 
-    // Check for changes in the local property store
-    get didPropertiesChange() {
-        try {
-            if (JSON.stringify(this.#propertyStore) !== JSON.stringify(this.#lastPropertyStore)) {
-                this.#lastPropertyStore = structuredClone(this.#propertyStore);
-                return true;
+    /**
+     * Get a copy of the current value of a single property
+     * @param {string} key
+     * @returns {*} - Value, or undefined if the key doesn't exist
+     */
+    getProperty(key) {
+        return Object.hasOwn(this.#propertyStore, key) ? structuredClone(this.#propertyStore[key]) : undefined;
+    }
+
+    /**
+     * Get the changes in the local property store since the last call (only the keys that were processed are compared)
+     * @returns {Array} - Array of { key, oldValue, newValue, author }
+     */
+    collectChanges() {
+        const changes = [];
+        for (const [key, author] of this.#dirtyKeys) {
+            try {
+                const serialized = Object.hasOwn(this.#propertyStore, key) ? JSON.stringify(this.#propertyStore[key]) : undefined;
+                const lastSerialized = this.#lastPropertyStore.get(key);
+                if (serialized === lastSerialized) continue;
+
+                if (serialized === undefined) this.#lastPropertyStore.delete(key);
+                else this.#lastPropertyStore.set(key, serialized);
+                changes.push({
+                    key,
+                    oldValue: lastSerialized === undefined ? undefined : JSON.parse(lastSerialized),
+                    newValue: serialized === undefined ? undefined : JSON.parse(serialized),
+                    author
+                });
+            } catch (error) {
+                console.error(CONSOLE_PREFIX + `Failed to check key ${key} for changes:`, error);
             }
-        } catch { }
-        return false;
+        }
+        this.#dirtyKeys.clear();
+        return changes;
+    }
+
+    // Get vector clock entries (e.g. to request a delta)
+    get getVectorClock() {
+        return [...this.#vectorClock.entries()];
     }
 
     // Get state (can be imported using importState, converts the maps to arrays for serialization)
@@ -373,4 +773,4 @@ class CRDTManager {
     }
 }
 
-module.exports = { CRDTManager };
\ No newline at end of file
+module.exports = { CRDTManager, parseStoragePath, formatStoragePath, getValueAtPath };
\ No newline at end of file
@@ -0,0 +1,75 @@
+// Room registries for discovering public rooms (lobby listing)
+
+/**
+ * Registry interface: async advertise(prefix, room), async remove(prefix, roomId) and async list(prefix).
+ * list resolves with room infos ({ id, name, gameMode, players, maxSize, locked, passwordProtected, topology, metadata })
+ * or with plain peer ids – PlayPeer then asks these peers for their room info directly.
+ */
+
+/**
+ * In-memory registry (shared by all PlayPeer instances in the same process, e.g. for tests and local development)
+ * @class
+ */
+export class MemoryRegistry {
+    #rooms = new Map(); // Map of prefixes to maps of room ids to { room, expires }
+    #ttl;
+
+    /**
+     * @param {object} [options]
+     * @param {number} [options.ttl] - Time in ms after which a room that wasn't advertised again is dropped (default 15000)
+     */
+    constructor(options = {}) {
+        this.#ttl = options.ttl ?? 15000;
+    }
+
+    async advertise(prefix, room) {
+        if (!this.#rooms.has(prefix)) this.#rooms.set(prefix, new Map());
+        this.#rooms.get(prefix).set(room.id, { room: structuredClone(room), expires: Date.now() + this.#ttl });
+    }
+
+    async remove(prefix, roomId) {
+        this.#rooms.get(prefix)?.delete(roomId);
+    }
+
+    async list(prefix) {
+        const rooms = this.#rooms.get(prefix);
+        if (!rooms) return [];
+        for (const [roomId, { expires }] of rooms) {
+            if (expires < Date.now()) rooms.delete(roomId);
+        }
+        return [...rooms.values()].map(({ room }) => structuredClone(room));
+    }
+}
+
+/**
+ * Registry based on the peer listing of a (self-hosted) PeerJS server – requires allow_discovery on the server.
+ * Rooms are advertised just by being connected to the server, so host ids have to start with the prefix
+ * @class
+ */
+export class PeerServerRegistry {
+    #url;
+
+    /**
+     * @param {object} [options] - Same server options as for PeerJS
+     * @param {string} [options.host] - Server host (default "0.peerjs.com")
+     * @param {number} [options.port] - Server port (default 443)
+     * @param {string} [options.path] - Path the server is mounted on (default "/")
+     * @param {string} [options.key] - API key (default "peerjs")
+     * @param {boolean} [options.secure] - Use https (default true)
+     */
+    constructor(options = {}) {
+        const { host = "0.peerjs.com", port = 443, path = "/", key = "peerjs", secure = true } = options;
+        this.#url = `${secure ? "https" : "http"}://${host}:${port}${path.endsWith("/") ? path : path + "/"}${key}/peers`;
+    }
+
+    async advertise() { } // Listed as long as the host is connected to the server
+
+    async remove() { }
+
+    async list(prefix) {
+        const response = await fetch(this.#url);
+        if (!response.ok) throw new Error(`Peer listing failed with status ${response.status} - is allow_discovery enabled on the server?`);
+        const peerIds = await response.json();
+        return Array.isArray(peerIds) ? peerIds.filter(id => typeof id === "string" && id.startsWith(prefix)) : [];
+    }
+}
@@ -0,0 +1,18 @@
+// Error types that PlayPeer rejects its promises with
+
+/**
+ * The host rejected a join attempt (joinRoom)
+ * @class
+ */
+export class JoinRejectedError extends Error {
+    /**
+     * @param {string} reason - Human-readable reason
+     * @param {string} code - "wrong-password", "rejected", "room-full", "room-locked", "banned" or "timeout"
+     */
+    constructor(reason, code) {
+        super(reason);
+        this.name = "JoinRejectedError";
+        this.reason = reason;
+        this.code = code;
+    }
+}
@@ -1,8 +1,32 @@
-import { Peer } from 'peerjs';
-import { CRDTManager } from './crdtManager';
+import { CRDTManager, parseStoragePath, formatStoragePath, getValueAtPath } from './crdtManager';
+import { StoragePermissions } from './storagePermissions';
+import { PeerJSTransport } from './transports/peerjsTransport';
+import { MemoryTransport } from './transports/memoryTransport';
+import { JoinRejectedError } from './errors';
+import { MemoryPersistence, LocalStoragePersistence, IndexedDBPersistence } from './persistence';
+import { MemoryRegistry, PeerServerRegistry } from './discovery';
+import { sampleSnapshots } from './interpolation';
+import { SessionRecorder, replaySession } from './recording';
+import { MeshNetwork } from './mesh';
 
 const ERROR_PREFIX = "PlayPeer error: ";
 const WARNING_PREFIX = "PlayPeer warning: ";
+const RECORDED_EVENTS = ["storageUpdated", "peerJoined", "peerLeft", "peerReconnected", "peerUpdated", "hostMigrated"]; // Room events stored in session recordings
+
+// Timeouts and retry limits (ms), can be overridden with the connectionPolicy option
+const DEFAULT_CONNECTION_POLICY = {
+    signallingTimeout: 3000, // Connecting to the signalling server (init)
+    connectionTimeout: 5000, // Opening a connection between peers
+    joinRequestTimeout: 30000, // Join handshake, including host approval
+    handshakeTimeout: 3000, // Lifetime of short-lived connections (host announcements, room info requests), and time for incoming connections to open
+    heartbeatInterval: 1000,
+    heartbeatTimeout: 3000, // Host closes connections of peers that didn't send a heartbeat for this long
+    maxMissedHeartbeats: 2, // Client disconnects after this many unanswered heartbeats in a row
+    migrationDelay: 1250, // Gives the new host time to detect the disconnection before joining it
+    hostAnnounceDelay: 3000, // After a migration, the new host announces itself to peers that didn't join it after this long
+    reconnect: { window: 6000, delay: 500, maxDelay: 2000 }, // Reconnecting to the same host before migrating
+    signallingReconnect: { retries: 5, delay: 1000, maxDelay: 16000 } // Reconnecting to the signalling server
+};
 
 /**
  * @class
@@ -13,9 +37,35 @@ export default class PlayPeer {
     #id;
     #peer;
     #options;
+    #transport;
+    #persistence; // { adapter, key, throttle }
+    #connectionPolicy = structuredClone(DEFAULT_CONNECTION_POLICY);
+    #signallingReconnecting = false;
+    #qualityThresholds = { rtt: 250, jitter: 50, loss: 0.1 }; // Above any of these, a connection counts as poor
+    #interpolation; // { delay, bufferSize } - buffers received ephemeral state for snapshot interpolation if set
+    #autoBatch; // "frame" or a number of ms - collects outgoing storage updates and sends them as one batch if set
+    #persistTimeout;
+    #discovery; // { registry, prefix, interval } - public rooms are advertised to the registry while hosting if set
+    #discoveryInterval;
+    #advertisedRoom; // Serialized room info that was last advertised
     #initialized = false;
-    #maxSize;
+    #roomConfig = {}; // Replicated room configuration (maxSize, name, gameMode, locked, metadata)
+    #roomId; // Identifies the room across host migrations (delta syncs only happen within the same room)
+    #hostEpoch = 0; // Increases with every host election, stamped on every host message
+    #roomPassword; // Required from joining peers (known to clients of protected rooms, so that it survives host migration)
+    #joinRequestHandler;
+    #joinOptions = {}; // Password used for joinRoom, reused when reconnecting or following a new host
+    #metadata; // Advertised to all peers in the room (e.g. display name, avatar, ready flag)
+    #isSpectator = false; // Spectators receive the storage, but can't write it and never become host
+    #bannedPeers = new Set(); // Replicated to all peers, so that bans still apply after host migration
     #crdtManager;
+    #storageValidator;
+    #storagePermissions = new StoragePermissions();
+    #storageSubscriptions = []; // Array of { keyPath, key, path, callback } registered with onStorageKey
+    #historyDepth = 50; // Maximum number of undo (and redo) steps, 0 disables the history
+    #recorder; // Records storage operations and room events while set (see startRecording)
+    #replayController; // AbortController of the running replay
+    #holdsReplayedStorage = false; // If the storage was filled by a replay (discarded when creating or joining a room)
 
     // Event callbacks stored in a map
     #callbacks = new Map();
@@ -24,23 +74,101 @@ export default class PlayPeer {
     #isHost = false;
     #hostConnections = []; // Host-side array containing all peers connected to current host, send out IDs to clients
     #hostConnectionsIdArray = []; // Client-side array to store the host's connections' IDs.
+    #reservedSlots = new Map(); // Host-side map of dropped peer IDs to the time until which their slot is kept for a reconnect
+    #pendingJoins = new Map(); // Host-side map of peer IDs to connections that haven't completed the join handshake yet
+    #expectedStateMerges = new Map(); // Host-side map of hosts that lost a host conflict against this one to the time until which their state merge is accepted
+    #peerPresence = new Map(); // Map of peer IDs to { id, metadata, joinedAt, isHost } for everyone in the room (including this peer)
+    #peerLeaveTimeouts = new Map(); // Map of dropped peer IDs to the timeout that triggers peerLeft once their reconnect window passed
+    #replacedConnections = new WeakSet(); // Host-side set of stale connections that were replaced by a reconnect of the same peer
     #outgoingConnection;
-
+    #ephemeralConnection; // Client-side unreliable, unordered connection to the host for ephemeral state
+    #ephemeralConnections = new Map(); // Host-side map of peer IDs to their ephemeral connections
+    #ephemeralStates = new Map(); // Map of peer IDs to { session, seq, state, snapshots, clockOffset }
+    #ephemeralSeq = 0;
+    #ephemeralSession = crypto.randomUUID(); // Sent with the sequence number, so that a new instance with the same peer ID (e.g. after a page reload) restarts it
+    #topology = "star"; // "star" (clients only talk to the host) or "mesh" (peers exchange operations directly)
+    #mesh; // Mesh mode: links to the other members (see MeshNetwork)
+    #pendingStateMerge = false; // Set while stepping down as host, so that the own state is merged into the winning host's
+    #transactionUpdates = null; // Updates of the running transaction (null if none is running)
+    #transactionFailed = false;
+    #outgoingUpdates = []; // Storage updates waiting for the next auto-batch flush
+    #undoStack = []; // Steps (arrays of own changes as { key, path, type, value, updateValue, before, after, uuid }), newest last
+    #redoStack = [];
+    #historyStep = null; // Changes of the running transaction, recorded as one step
+    #historyMode = "change"; // "change", "undo" or "redo" - decides which stack a recorded step goes to
+    #flushScheduled = false;
     // Heartbeat variables
     #heartbeatSendInterval;
     #heartbeatHostCheckInterval;
     #heartbeatReceived;
+    #heartbeatSamples = []; // Client-side recent heartbeats as { seq, sentAt, receivedAt, rtt }
+    #peerQuality = new Map(); // Map of peer IDs to { rtt, jitter, loss, level } (the host's view, and own measurements)
 
     /**
      * WebRTC Data Channels wrapper for handling multiplayer in games
      * @constructor
      * @param {string} id - Unique id for signalling
      * @param {object} [options] - Peer options (ice config, host, port etc.)
+     * @param {object} [options.transport] - Transport that creates the peer (defaults to PeerJS)
+     * @param {object} [options.persistence] - Persist the room's state while hosting: { adapter, key?, throttle? }
+     * @param {object} [options.connectionPolicy] - Timeouts, heartbeat and retry settings (see DEFAULT_CONNECTION_POLICY)
+     * @param {object} [options.reconnect] - Shorthand for connectionPolicy.reconnect: { window?, delay?, maxDelay? } in ms
+     * @param {object} [options.qualityThresholds] - Limits for the connectionQuality event: { rtt?, jitter? } in ms, { loss? } as ratio
+     * @param {object | boolean} [options.interpolation] - Snapshot interpolation of ephemeral state: true or { delay?, bufferSize? }
+     * @param {boolean | number} [options.autoBatch] - Send outgoing storage updates once per frame (true) or every n ms, as one batch
+     * @param {number} [options.historyDepth] - Number of own storage changes that can be undone (defaults to 50, 0 disables undo/redo)
+     * @param {object} [options.discovery] - Room discovery: { registry, prefix?, interval? } (see listRooms)
      */
     constructor(id, options) {
         this.#id = id;
-        this.#crdtManager = new CRDTManager();
-        if (options) this.#options = options;
+        this.#crdtManager = new CRDTManager(false, id);
+        this.#mesh = new MeshNetwork({
+            connectionPolicy: this.#connectionPolicy,
+            getPeer: () => this.#peer,
+            getMember: () => ({
+                id: this.#id,
+                roomId: this.#roomId,
+                password: this.#roomPassword,
+                metadata: this.#metadata,
+                spectator: this.#isSpectator,
+                joinedAt: this.#peerPresence.get(this.#id)?.joinedAt,
+                vectorClock: this.#crdtManager.getVectorClock
+            }),
+            getSyncUpdates: vectorClock => this.#crdtManager.getOperationsSince(vectorClock, false).filter(update => !update.operation.compacted),
+            isBanned: peerId => this.#bannedPeers.has(peerId),
+            onJoinRequest: (connection, request) => this.#handleMeshJoinRequest(connection, request),
+            onReject: (connection, code, reason) => this.#rejectJoin(connection, code, reason),
+            onLinkOpened: (peerId, ownJoinedAt) => {
+                this.#openMeshEphemeralChannel(peerId);
+                this.#updateMeshPresence(ownJoinedAt);
+            },
+            onLinkClosed: (peerId) => {
+                this.#updateMeshPresence();
+                this.#triggerEvent("status", `Mesh connection to ${peerId} closed.`);
+            },
+            onUpdates: (peerId, updates, atomic) => this.#importMeshUpdates(peerId, updates, atomic),
+            onMessage: (peerId, data) => this.#handleMeshMessage(peerId, data),
+            onError: message => this.#triggerEvent("error", message)
+        });
+        if (options) {
+            const { transport, persistence, reconnect, connectionPolicy, qualityThresholds, interpolation, autoBatch, historyDepth, discovery, ...peerOptions } = options;
+            this.#options = peerOptions;
+            this.#transport = transport;
+            if (reconnect) Object.assign(this.#connectionPolicy.reconnect, reconnect);
+            if (connectionPolicy) {
+                const { reconnect: hostReconnect, signallingReconnect, ...timeouts } = connectionPolicy;
+                Object.assign(this.#connectionPolicy, timeouts);
+                Object.assign(this.#connectionPolicy.reconnect, hostReconnect);
+                Object.assign(this.#connectionPolicy.signallingReconnect, signallingReconnect);
+            }
+            if (qualityThresholds) this.#qualityThresholds = { ...this.#qualityThresholds, ...qualityThresholds };
+            if (interpolation) this.#interpolation = { delay: 100, bufferSize: 30, ...(interpolation === true ? {} : interpolation) };
+            if (autoBatch) this.#autoBatch = autoBatch === true ? "frame" : autoBatch;
+            if (Number.isInteger(historyDepth) && historyDepth >= 0) this.#historyDepth = historyDepth;
+            if (persistence?.adapter) this.#persistence = { key: id, throttle: 1000, ...persistence };
+            if (discovery?.registry) this.#discovery = { prefix: "playpeer", interval: 5000, ...discovery };
+        }
+        if (!this.#transport) this.#transport = new PeerJSTransport();
     }
 
     /** 
@@ -54,7 +182,22 @@ export default class PlayPeer {
             "error",
             "instanceDestroyed",
             "storageUpdated",
+            "storageUpdateRejected",
+            "message",
+            "ephemeralState",
+            "roomConfigUpdated",
             "hostMigrated",
+            "reconnecting",
+            "reconnected",
+            "signallingReconnecting",
+            "signallingReconnected",
+            "signallingReconnectFailed",
+            "kicked",
+            "connectionQuality",
+            "peerJoined",
+            "peerLeft",
+            "peerReconnected",
+            "peerUpdated",
             "incomingPeerConnected",
             "incomingPeerDisconnected",
             "incomingPeerError",
@@ -75,6 +218,7 @@ export default class PlayPeer {
      * @private
      */
     #triggerEvent(event, ...args) {
+        if (this.#recorder && RECORDED_EVENTS.includes(event)) this.#recorder.record("event", { event, args: event === "storageUpdated" ? [] : args }); // Storage is rebuilt from the operations
         const callbacks = this.#callbacks.get(event);
         callbacks?.forEach((callback) => {
             try {
@@ -98,7 +242,7 @@ export default class PlayPeer {
             this.#triggerEvent("status", "Initializing instance...");
 
             try {
-                this.#peer = new Peer(this.#id, this.#options);
+                this.#peer = this.#transport.createPeer(this.#id, this.#options);
             } catch (error) {
                 console.error(ERROR_PREFIX + "Failed to initialize peer:", error);
                 this.#triggerEvent("error", "Failed to initialize peer: " + error);
@@ -115,7 +259,7 @@ export default class PlayPeer {
                 this.#triggerEvent("error", "Connection attempt to singalling server timed out.");
                 this.destroy();
                 reject(new Error("Connection attempt to signalling server timed out."));
-            }, 3 * 1000);
+            }, this.#connectionPolicy.signallingTimeout);
 
             this.#peer.on('open', () => {
                 this.#triggerEvent("status", "Connected to signalling server!");
@@ -132,15 +276,7 @@ export default class PlayPeer {
      */
     #setupPeerErrorListeners() {
         this.#peer.on('disconnected', () => {
-            if (this.#peer && !this.#peer?.destroyed) {
-                try {
-                    this.#peer.reconnect(); // Re-connect to the signalling server – all active peer connections should stay intact!
-                    console.warn(WARNING_PREFIX + "Disconnected from signalling server. Attempting to reconnect.");
-                    this.#triggerEvent("status", "Disconnected from signalling server...");
-                } catch (error) {
-                    this.#triggerEvent("error", "Failed to reconnect: " + error);
-                }
-            }
+            if (this.#peer && !this.#peer?.destroyed) this.#reconnectToSignalling();
         });
 
         this.#peer.on('error', (error) => {
@@ -156,15 +292,191 @@ export default class PlayPeer {
         });
     }
 
+    /**
+     * Re-connect to the signalling server with backoff – all active peer connections should stay intact!
+     * @async
+     * @private
+     */
+    async #reconnectToSignalling() {
+        if (this.#signallingReconnecting) return; // Failed attempts emit 'disconnected' again
+        this.#signallingReconnecting = true;
+        const { retries, delay, maxDelay } = this.#connectionPolicy.signallingReconnect;
+        console.warn(WARNING_PREFIX + "Disconnected from signalling server. Attempting to reconnect.");
+        this.#triggerEvent("status", "Disconnected from signalling server...");
+
+        const peer = this.#peer;
+        for (let attempt = 1; attempt <= retries; attempt++) {
+            if (this.#peer !== peer || peer.destroyed) break;
+            this.#triggerEvent("signallingReconnecting", attempt, retries);
+
+            const reconnected = peer.disconnected === false || await this.#attemptSignallingReconnect(peer); // A timed out attempt might have succeeded late
+            if (reconnected) {
+                this.#signallingReconnecting = false;
+                this.#triggerEvent("status", "Reconnected to signalling server.");
+                this.#triggerEvent("signallingReconnected", attempt);
+                return;
+            }
+            console.warn(WARNING_PREFIX + `Signalling reconnection attempt ${attempt} failed.`);
+            if (attempt < retries) await new Promise(resolve => setTimeout(resolve, Math.min(delay * 2 ** (attempt - 1), maxDelay)));
+        }
+
+        this.#signallingReconnecting = false;
+        if (this.#peer !== peer || peer.destroyed) return;
+        this.#triggerEvent("error", "Failed to reconnect to signalling server. Existing connections stay open, but new peers can't join.");
+        this.#triggerEvent("signallingReconnectFailed");
+    }
+
+    /**
+     * Make a single attempt to reconnect to the signalling server and wait until it succeeded, failed or timed out
+     * @private
+     * @param {object} peer
+     * @returns {Promise<boolean>} - If the peer reconnected
+     */
+    #attemptSignallingReconnect(peer) {
+        return new Promise((resolve) => {
+            const finish = (reconnected) => {
+                clearTimeout(timeout);
+                peer.off('open', onOpen);
+                peer.off('disconnected', onFailure);
+                resolve(reconnected);
+            };
+            const onOpen = () => finish(true);
+            const onFailure = () => finish(false); // Failed attempts emit 'disconnected' again
+            const timeout = setTimeout(onFailure, this.#connectionPolicy.signallingTimeout);
+            peer.on('open', onOpen);
+            peer.on('disconnected', onFailure);
+
+            try {
+                peer.reconnect();
+            } catch (error) {
+                this.#triggerEvent("error", "Failed to reconnect: " + error);
+                finish(false);
+            }
+        });
+    }
+
     /**
      * Remove incoming connection from the host connections array
      * @param {object} incomingConnection 
+     * @param {boolean} [reserveSlot] - Keep the slot in case the peer reconnects (not for kicked peers)
      */
-    #removeIncomingConnectionFromArray(incomingConnection) {
+    #removeIncomingConnectionFromArray(incomingConnection, reserveSlot = true) {
         const removeIndex = this.#hostConnections.findIndex(c => c[0] === incomingConnection);
-        if (removeIndex !== -1) this.#hostConnections.splice(removeIndex, 1);
+        if (removeIndex !== -1) {
+            this.#hostConnections.splice(removeIndex, 1);
+            if (reserveSlot && incomingConnection?.peer && !incomingConnection.metadata?.spectator) this.#reservedSlots.set(incomingConnection.peer, Date.now() + this.#connectionPolicy.reconnect.window); // Keep the slot in case the peer reconnects
+            this.#closeEphemeralConnection(incomingConnection?.peer);
+        }
+        this.#broadcastPeerList();
+    }
+
+    /**
+     * Sync host's connections and everyone's metadata with all peers (Host function)
+     * @private
+     */
+    #broadcastPeerList() {
+        if (this.#topology === "mesh") return this.#updateMeshPresence(); // Every peer knows everyone directly
         const peerList = Array.from(this.#hostConnections).map(c => c[0]?.peer);
-        this.#broadcastMessage("peer_list", { peers: peerList });
+        const presence = [
+            { id: this.#id, metadata: this.#metadata, joinedAt: this.#peerPresence.get(this.#id)?.joinedAt ?? Date.now(), isHost: true, spectator: false },
+            ...this.#hostConnections.map(([connection, , info]) => ({ id: connection?.peer, metadata: info?.metadata, joinedAt: info?.joinedAt, isHost: false, spectator: Boolean(info?.spectator) }))
+        ];
+        const reconnecting = {}; // Peer IDs with a reserved slot, mapped to the ms left to reconnect
+        for (const [peerId, expires] of this.#reservedSlots) {
+            if (expires > Date.now()) reconnecting[peerId] = expires - Date.now();
+        }
+        this.#updatePeerPresence(presence, reconnecting);
+        this.#broadcastMessage("peer_list", { peers: peerList, presence, reconnecting });
+    }
+
+    /**
+     * Replace the known peers and trigger events for the ones that joined, left or changed.
+     * Dropped peers that may still reconnect are kept until their window passes, so a reconnect doesn't trigger peerLeft and peerJoined
+     * @private
+     * @param {Array} presence - Array of { id, metadata, joinedAt, isHost, spectator }
+     * @param {object} [reconnecting] - Dropped peer IDs mapped to the ms they have left to reconnect
+     */
+    #updatePeerPresence(presence, reconnecting = {}) {
+        const previousPresence = this.#peerPresence;
+        this.#peerPresence = new Map(presence.filter(peer => typeof peer?.id === "string").map(peer => [peer.id, peer]));
+
+        for (const [peerId, previousPeer] of previousPresence) {
+            if (this.#peerPresence.has(peerId)) continue;
+            const remaining = reconnecting?.[peerId];
+            if (typeof remaining === "number" && remaining > 0) {
+                this.#peerPresence.set(peerId, previousPeer); // Held until the peer reconnects or its window passes
+                if (!this.#peerLeaveTimeouts.has(peerId)) this.#peerLeaveTimeouts.set(peerId, setTimeout(() => this.#removeDroppedPeer(peerId), remaining));
+                continue;
+            }
+            clearTimeout(this.#peerLeaveTimeouts.get(peerId));
+            this.#peerLeaveTimeouts.delete(peerId);
+            this.#peerQuality.delete(peerId);
+            this.#ephemeralStates.delete(peerId);
+            this.#triggerEvent("peerLeft", peerId);
+        }
+        for (const [peerId, peer] of this.#peerPresence) {
+            const previousPeer = previousPresence.get(peerId);
+            if (this.#peerLeaveTimeouts.has(peerId) && !(typeof reconnecting?.[peerId] === "number" && reconnecting[peerId] > 0)) {
+                clearTimeout(this.#peerLeaveTimeouts.get(peerId));
+                this.#peerLeaveTimeouts.delete(peerId);
+                this.#triggerEvent("peerReconnected", structuredClone(peer));
+            }
+            if (!previousPeer) this.#triggerEvent("peerJoined", structuredClone(peer));
+            else if (JSON.stringify(previousPeer) !== JSON.stringify(peer)) this.#triggerEvent("peerUpdated", structuredClone(peer));
+        }
+        this.#updateDiscovery(); // Player count
+    }
+
+    /**
+     * Trigger peerLeft for a dropped peer whose reconnect window passed
+     * @private
+     * @param {string} peerId
+     */
+    #removeDroppedPeer(peerId) {
+        this.#peerLeaveTimeouts.delete(peerId);
+        if (!this.#peerPresence.delete(peerId)) return;
+        this.#peerQuality.delete(peerId);
+        this.#ephemeralStates.delete(peerId);
+        this.#triggerEvent("peerLeft", peerId);
+        this.#updateDiscovery(); // Player count
+    }
+
+    /**
+     * Forget all known peers without triggering events (e.g. when leaving the room)
+     * @private
+     */
+    #clearPeerPresence() {
+        this.#peerLeaveTimeouts.forEach(timeout => clearTimeout(timeout));
+        this.#peerLeaveTimeouts.clear();
+        this.#peerPresence = new Map();
+    }
+
+    /**
+     * Check if the room is full for a connecting peer, counting slots reserved for dropped peers (Host function).
+     * Players count against maxSize, spectators against maxSpectators
+     * @private
+     * @param {string} peerId - Id of the connecting peer
+     * @param {boolean} [spectator] - If the peer joins as spectator
+     * @returns {boolean}
+     */
+    #isRoomFull(peerId, spectator = false) {
+        if (spectator) {
+            const { maxSpectators } = this.#roomConfig;
+            if (maxSpectators === undefined) return false;
+            const spectators = this.#hostConnections.filter(c => c[0]?.peer !== peerId && c[2]?.spectator).length
+                + [...this.#pendingJoins].filter(([id, connection]) => id !== peerId && connection.metadata?.spectator).length;
+            return spectators >= maxSpectators;
+        }
+
+        const { maxSize } = this.#roomConfig;
+        if (!maxSize) return false;
+        for (const [reservedPeerId, expires] of this.#reservedSlots) {
+            if (expires < Date.now()) this.#reservedSlots.delete(reservedPeerId);
+        }
+        if (this.#reservedSlots.has(peerId)) return false; // The peer's own slot is still reserved
+        const occupiedSlots = this.#hostConnections.filter(c => c[0]?.peer !== peerId && !c[2]?.spectator).length + this.#reservedSlots.size
+            + [...this.#pendingJoins].filter(([id, connection]) => id !== peerId && !connection.metadata?.spectator).length;
+        return (occupiedSlots + 1) >= maxSize;
     }
 
     /**
@@ -172,14 +484,32 @@ export default class PlayPeer {
      * @private
      */
     #handleIncomingConnections(incomingConnection) {
+        // Other hosts announcing themselves are not room members
+        if (incomingConnection.metadata?.hostAnnounce) return this.#handleHostAnnounceConnection(incomingConnection);
+        if (incomingConnection.metadata?.ephemeral) return this.#handleEphemeralConnection(incomingConnection);
+        if (incomingConnection.metadata?.discovery) return this.#handleDiscoveryConnection(incomingConnection);
+        if (this.#topology === "mesh" || incomingConnection.metadata?.mesh) return this.#handleMeshConnection(incomingConnection);
+
+        // Check if peer is banned
+        if (this.#isHost && this.#bannedPeers.has(incomingConnection.peer)) {
+            console.warn(WARNING_PREFIX + `Connection ${incomingConnection.peer} rejected - peer is banned.`);
+            this.#triggerEvent("status", "Rejected connection - peer is banned.");
+            return this.#rejectJoin(incomingConnection, "banned", "Banned from this room.");
+        }
+
         // Check if room is full
-        if (this.#isHost && this.#maxSize && (this.#hostConnections?.length + 1) >= this.#maxSize) {
+        const spectator = Boolean(incomingConnection.metadata?.spectator);
+        if (this.#isHost && this.#isRoomFull(incomingConnection.peer, spectator)) {
             console.warn(WARNING_PREFIX + `Connection ${incomingConnection.peer} rejected - room is full.`);
             this.#triggerEvent("status", "Rejected connection - room is full.");
-            try { incomingConnection.close(); } catch (error) {
-                this.#triggerEvent("error", "Failed to close incoming connection (room full): " + error);
-            }
-            return; // Don't continue with the rest of events
+            return this.#rejectJoin(incomingConnection, "room-full", "Room is full."); // Don't continue with the rest of events
+        }
+
+        // Check if room is locked (peers that are reconnecting to their slot and spectators may still join)
+        if (this.#isHost && this.#roomConfig.locked && !spectator && !this.#reservedSlots.has(incomingConnection.peer) && !this.#hostConnections.some(c => c[0]?.peer === incomingConnection.peer)) {
+            console.warn(WARNING_PREFIX + `Connection ${incomingConnection.peer} rejected - room is locked.`);
+            this.#triggerEvent("status", "Rejected connection - room is locked.");
+            return this.#rejectJoin(incomingConnection, "room-locked", "Room is locked.");
         }
 
         // Close broken connections that don't open in time or address the wrong host
@@ -190,69 +520,77 @@ export default class PlayPeer {
                     this.#triggerEvent("error", "Failed to close incoming connection (invalid): " + error);
                 }
             }
-        }, 3 * 1000);
+        }, this.#connectionPolicy.handshakeTimeout);
 
         // Only process incoming connections if hosting
         if (this.#isHost) {
-            // Add new peer immediately (not after 'open') to ensure room size limits work properly
+            // Reserve a slot immediately (not after the join handshake) to ensure room size limits work properly
             this.#triggerEvent("status", "New peer connecting...");
-            if (this.#hostConnections.findIndex(c => c[0] === incomingConnection) == -1) this.#hostConnections.push([incomingConnection, Date.now()]);
-
-            // Set up host heartbeat check if not already
-            if (!this.#heartbeatHostCheckInterval) {
-                this.#heartbeatHostCheckInterval = setInterval(() => {
-                    if (!this.#isHost) {
-                        clearInterval(this.#heartbeatHostCheckInterval);
-                        this.#heartbeatHostCheckInterval = undefined;
-                        return;
-                    }
-                    this.#hostConnections?.forEach((e) => {
-                        if (e[1] < Date.now() - 3000) {
-                            console.warn(WARNING_PREFIX + "Peer did not send heartbeats - closing connection.");
-                            this.#triggerEvent("status", "Peer did not send heartbeats - closing connection.");
-                            try { e[0]?.close(); } catch (error) {
-                                this.#triggerEvent("error", "Failed to close incoming connection (no heartbeat): " + error);
-                            }
-                            this.#removeIncomingConnectionFromArray(e[0]); // Remove the entry now, regardless if the close worked
-                        }
-                    });
-                }, 1000);
-            }
+            this.#pendingJoins.set(incomingConnection.peer, incomingConnection);
 
-            incomingConnection.on('open', () => {
-                // Sync host's connections with all peers
-                const peerList = Array.from(this.#hostConnections).map(c => c[0]?.peer);
-                this.#broadcastMessage("peer_list", { peers: peerList });
+            // Peers that don't complete the join handshake in time are rejected
+            setTimeout(() => {
+                if (this.#pendingJoins.get(incomingConnection.peer) === incomingConnection) this.#rejectJoin(incomingConnection, "timeout", "Join request timed out.");
+            }, this.#connectionPolicy.joinRequestTimeout);
 
+            incomingConnection.on('open', () => {
                 this.#triggerEvent("status", "Incoming connection opened.");
-                this.#triggerEvent("incomingPeerConnected", incomingConnection.peer);
-
-                // Send current storage state to new peer
-                try {
-                    incomingConnection.send({ type: 'state_init', state: this.#crdtManager.getState });
-                } catch (error) {
-                    this.#triggerEvent("error", "Error sending initial storage sync: " + error);
-                }
             });
 
             incomingConnection.on('data', (data) => {
                 if (!data || !data?.type) return;
 
+                // Peers that haven't completed the join handshake can only send join requests and heartbeats
+                const isMember = this.#hostConnections.some(c => c[0] === incomingConnection);
+                if (!isMember && data.type !== 'join_request' && data.type !== 'heartbeat_request') return;
+
                 switch (data.type) {
+                    case 'join_request':
+                        // Join handshake, sent by clients once the connection is open
+                        this.#handleJoinRequest(incomingConnection, data);
+                        break;
                     case 'property_update_request':
                         // Storage updates, sent out by clients
-                        if (data.update) {
-                            this.#crdtManager.importPropertyUpdate(data.update);
-                            if (this.#crdtManager.didPropertiesChange) this.#triggerEvent("storageUpdated", this.getStorage);
-                            this.#broadcastMessage("property_update", { update: data.update });
+                        if (data.update) this.#handlePropertyUpdateRequest(incomingConnection, data.update);
+                        break;
+                    case 'property_batch_request':
+                        // Batched storage updates (transactions are atomic), sent out by clients
+                        this.#handlePropertyBatchRequest(incomingConnection, data.updates, Boolean(data.atomic));
+                        break;
+                    case 'state_merge':
+                        // State of a host that stepped down in favor of this host
+                        this.#handleStateMerge(incomingConnection, data.updates);
+                        break;
+                    case 'host_conflict':
+                        // A client learned about another host of this room - only the host handshake can confirm it
+                        if (typeof data.hostId === "string") this.#announceHost([data.hostId]);
+                        break;
+                    case 'peer_metadata_update': {
+                        // Metadata changes, sent out by clients
+                        const entry = this.#hostConnections.find(c => c[0] === incomingConnection);
+                        if (entry) {
+                            entry[2] = { ...entry[2], metadata: data.metadata };
+                            this.#broadcastPeerList();
                         }
                         break;
+                    }
+                    case 'ephemeral_state':
+                        // Ephemeral state, sent over the reliable connection if the unreliable one isn't open (yet)
+                        this.#handleEphemeralState({ ...data, sender: incomingConnection.peer });
+                        break;
+                    case 'user_message':
+                        // Custom messages, sent out by clients (sender is taken from the connection, not the payload)
+                        this.#routeUserMessage({ ...data, sender: incomingConnection.peer });
+                        break;
                     case 'heartbeat_request': {
                         // Respond to peers requesting heartbeat
                         try {
-                            incomingConnection.send({ type: "heartbeat_response" });
+                            this.#sendFromHost(incomingConnection, { type: "heartbeat_response", seq: data.seq });
                             const index = this.#hostConnections.findIndex(e => e[0] == incomingConnection);
-                            if (index !== -1) this.#hostConnections[index][1] = Date.now(); // Update last heartbeat to now
+                            if (index !== -1) {
+                                this.#hostConnections[index][1] = Date.now(); // Update last heartbeat to now
+                                if (data.quality) this.#updatePeerQuality(incomingConnection.peer, data.quality); // Measured by the client
+                            }
                         } catch (error) {
                             this.#triggerEvent("error", "Error responding to heartbeat: " + error);
                         }
@@ -262,6 +600,9 @@ export default class PlayPeer {
             });
 
             incomingConnection.on('close', () => {
+                if (this.#pendingJoins.get(incomingConnection.peer) === incomingConnection) this.#pendingJoins.delete(incomingConnection.peer);
+                if (this.#replacedConnections.has(incomingConnection)) return; // Peer already reconnected with a new connection
+                if (!this.#hostConnections.some(c => c[0] === incomingConnection)) return; // Peer never joined (or was already removed)
                 this.#removeIncomingConnectionFromArray(incomingConnection);
                 this.#triggerEvent("incomingPeerDisconnected", incomingConnection?.peer);
                 this.#triggerEvent("status", "Incoming connection closed.");
@@ -275,221 +616,2274 @@ export default class PlayPeer {
     }
 
     /**
-     * Create room and become host
-     * @param {object} initialStorage - Initial storage object
-     * @param {number} [maxSize] - Optional maximum number of peers allowed in the room
-     * @returns {Promise} Promise resolves with peer id
+     * Handle the unreliable connection that a room member opens for ephemeral state (Host function, and between mesh peers)
+     * @private
+     * @param {object} connection
      */
-    createRoom(initialStorage = {}, maxSize) {
-        return new Promise((resolve, reject) => {
-            if (!this.#peer || this.#peer.destroyed || !this.#initialized) {
-                this.#triggerEvent("error", "Cannot create room if peer is not initialized. Note that .init() is async.");
-                console.error(ERROR_PREFIX + "Cannot create room if peer is not initialized. Note that .init() is async.");
-                reject(new Error("Peer not initialized."));
+    #handleEphemeralConnection(connection) {
+        const peerId = connection.peer;
+        const isMember = this.#topology === "mesh"
+            ? this.#mesh.isMember(peerId)
+            : this.#isHost ? this.#hostConnections.some(c => c[0]?.peer === peerId) : this.#outgoingConnection?.peer === peerId; // Mesh member that is letting this peer in
+        if (!isMember) {
+            setTimeout(() => connection.close(), this.#connectionPolicy.connectionTimeout); // Only room members get an ephemeral channel
+            return;
+        }
+        connection.on('open', () => {
+            if (this.#ephemeralConnections.get(connection.peer) !== connection) this.#closeEphemeralConnection(connection.peer);
+            this.#ephemeralConnections.set(connection.peer, connection);
+        });
+        connection.on('data', (data) => {
+            if (data?.type === 'ephemeral_state' && this.#ephemeralConnections.get(connection.peer) === connection) {
+                this.#handleEphemeralState({ ...data, sender: connection.peer });
             }
-
-            // Initial storage
-            Object.entries(initialStorage)?.forEach(([key, value]) => {
-                this.#crdtManager.updateProperty(key, "set", value);
-            });
-
-            this.#isHost = true;
-            this.#maxSize = maxSize; // Store the maxSize value
-            this.#triggerEvent("storageUpdated", this.getStorage);
-            this.#triggerEvent("status", `Room created${maxSize ? ` with size ${maxSize}` : ''}.`);
-            resolve(this.#id);
+        });
+        connection.on('close', () => {
+            if (this.#ephemeralConnections.get(connection.peer) === connection) this.#ephemeralConnections.delete(connection.peer);
+        });
+        connection.on('error', (error) => {
+            this.#triggerEvent("error", "Error in ephemeral connection: " + error);
         });
     }
 
     /**
-     * Join existing room (Client code)
-     * @param {string} hostId - Id of the host to connect to
+     * Close the ephemeral connection of a peer (Host function, and between mesh peers)
+     * @private
+     * @param {string} peerId
      */
-    async joinRoom(hostId) {
-        return new Promise((resolve, reject) => {
-            if (!this.#peer || this.#peer?.destroyed || !this.#initialized) {
-                this.#triggerEvent("error", "Cannot join room if peer is not initialized. Note that .init() is async.");
-                console.error(ERROR_PREFIX + "Cannot join room if peer is not initialized. Note that .init() is async.");
-                reject(new Error("Peer not initialized."));
-            }
-            try {
-                this.#outgoingConnection = this.#peer.connect(hostId, { reliable: true }); // Connect to host
-                this.#triggerEvent("status", "Connecting to host...");
-
-                // In case peer experiences error joining room, reject promise
-                this.#peer.once('error', error => {
-                    reject(new Error("Error occurred trying to join room: " + error));
-                });
-
-                // Connection timeout
-                let timeout;
-                clearTimeout(timeout);
-                timeout = setTimeout(() => {
-                    if (this.#outgoingConnection && !this.#outgoingConnection.open) {
-                        this.#outgoingConnection.close();
-                        this.#outgoingConnection = null;
-                    }
-                    this.#triggerEvent("status", "Connection attempt for joining room timed out.");
-                    reject(new Error("Connection attempt for joining room timed out."));
-                }, 5 * 1000);
-
-                let failedHeartbeatAttempts = 0;
-
-                this.#outgoingConnection.on("open", () => {
-                    clearTimeout(timeout);
-                    this.#triggerEvent("outgoingPeerConnected", hostId);
-                    this.#triggerEvent("status", "Connection to host established.");
+    #closeEphemeralConnection(peerId) {
+        const connection = this.#ephemeralConnections.get(peerId);
+        if (!connection) return;
+        this.#ephemeralConnections.delete(peerId);
+        try { connection.close(); } catch (error) {
+            this.#triggerEvent("error", "Failed to close ephemeral connection: " + error);
+        }
+    }
 
-                    // Regularly check if host responds to heartbeat
-                    this.#heartbeatReceived = true;
-                    clearInterval(this.#heartbeatSendInterval); // Prevent multiple ones stacking up
-                    this.#heartbeatSendInterval = setInterval(() => {
-                        if (this.#isHost) return clearInterval(this.#heartbeatSendInterval);
-                        if (!this.#heartbeatReceived) {
-                            failedHeartbeatAttempts++;
-                            if (failedHeartbeatAttempts >= 2) {
-                                console.warn(WARNING_PREFIX + "Host did not respond to heartbeat twice - disconnecting from host.");
-                                this.#triggerEvent("status", "Host did not respond to heartbeat twice - disconnecting from host.");
-                                this.#outgoingConnection?.close();
-                                return;
-                            }
-                        }
+    /**
+     * Open an unreliable, unordered connection to the host for ephemeral state (Client function)
+     * @private
+     * @param {string} hostId
+     */
+    #openEphemeralChannel(hostId) {
+        try { this.#ephemeralConnection?.close(); } catch { }
+        const connection = this.#peer.connect(hostId, { reliable: false, metadata: { ephemeral: true } });
+        this.#ephemeralConnection = connection;
 
-                        // Ping host
-                        this.#heartbeatReceived = false; // Reset received status to false
-                        if (this.#outgoingConnection?.open) {
-                            this.#outgoingConnection?.send({
-                                type: 'heartbeat_request'
-                            });
-                        }
-                    }, 1000);
+        connection.on('data', (data) => {
+            if (data?.type === 'ephemeral_state') this.#handleEphemeralState(data);
+        });
+        connection.on('close', () => {
+            if (this.#ephemeralConnection === connection) this.#ephemeralConnection = undefined; // Falls back to the reliable connection
+        });
+        connection.on('error', (error) => {
+            this.#triggerEvent("error", "Error in ephemeral connection: " + error);
+        });
+    }
 
-                    // Only migrate host if the connection was initially open
-                    this.#outgoingConnection.on('close', () => {
-                        clearInterval(this.#heartbeatSendInterval);
-                        if (!this.#isHost) this.#migrateHost();
-                    });
+    /**
+     * Open an unreliable, unordered connection to a mesh peer for ephemeral state. Only the peer with the lower id opens it,
+     * both peers use it (Mesh function)
+     * @private
+     * @param {string} peerId
+     */
+    #openMeshEphemeralChannel(peerId) {
+        if (this.#id > peerId || this.#ephemeralConnections.has(peerId)) return;
+        let connection;
+        try {
+            connection = this.#peer.connect(peerId, { reliable: false, metadata: { ephemeral: true } });
+        } catch (error) {
+            return this.#triggerEvent("error", "Error opening ephemeral connection: " + error);
+        }
+        this.#ephemeralConnections.set(peerId, connection);
 
-                    resolve();
-                });
+        connection.on('data', (data) => {
+            if (data?.type === 'ephemeral_state' && this.#ephemeralConnections.get(peerId) === connection) this.#handleEphemeralState({ ...data, sender: peerId });
+        });
+        connection.on('close', () => {
+            if (this.#ephemeralConnections.get(peerId) === connection) this.#ephemeralConnections.delete(peerId); // Falls back to the mesh connection
+        });
+        connection.on('error', (error) => {
+            this.#triggerEvent("error", "Error in ephemeral connection: " + error);
+        });
+    }
 
-                this.#outgoingConnection.on('data', (data) => {
-                    if (!data || !data?.type) return;
-                    switch (data.type) {
-                        case 'state_init':
-                            if (data.state) {
-                                this.#crdtManager.importState(data.state);
-                                this.#triggerEvent("storageUpdated", this.getStorage);
-                            }
-                            break;
+    /**
+     * Store received ephemeral state, and relay it to the other peers if hosting
+     * @private
+     * @param {object} message - { sender, session, seq, sentAt, state }
+     */
+    #handleEphemeralState(message) {
+        const { sender, session, seq, sentAt } = message;
+        if (typeof sender !== "string" || !Number.isFinite(seq) || !Number.isFinite(sentAt)) return;
+        if (sender === this.#id) return;
 
-                        case 'property_update':
-                            if (data.update) {
-                                this.#crdtManager.importPropertyUpdate(data.update);
-                                if (this.#crdtManager.didPropertiesChange) this.#triggerEvent("storageUpdated", this.getStorage);
-                            }
-                            break;
+        let entry = this.#ephemeralStates.get(sender);
+        if (!entry || entry.session !== session) entry = { session, seq: -Infinity, snapshots: [], clockOffset: Infinity }; // New sender instance
+        if (seq <= entry.seq) return; // Stale or duplicate packet
+        if (this.#isHost && this.#topology !== "mesh") this.#relayEphemeralState(message);
+        entry.seq = seq;
+        entry.state = message.state;
 
-                        case 'peer_list':
-                            this.#hostConnectionsIdArray = data.peers;
-                            break;
-                        case 'heartbeat_response':
-                            this.#heartbeatReceived = true;
-                            failedHeartbeatAttempts = 0;
-                            break;
-                    }
-                });
+        // Estimate the offset between the sender's clock and this one (includes the latency, which the interpolation delay covers)
+        entry.clockOffset = Math.min(entry.clockOffset, Date.now() - sentAt);
+        if (this.#interpolation) {
+            entry.snapshots.push({ time: sentAt, state: message.state });
+            if (entry.snapshots.length > this.#interpolation.bufferSize) entry.snapshots.shift();
+        }
 
-                this.#outgoingConnection.on('close', () => {
-                    this.#triggerEvent("outgoingPeerDisconnected", hostId);
-                    this.#triggerEvent("status", "Connection to host closed.");
-                });
+        this.#ephemeralStates.set(sender, entry);
+        this.#triggerEvent("ephemeralState", sender, structuredClone(message.state));
+    }
 
-                this.#outgoingConnection.on('error', (error) => {
-                    clearTimeout(timeout);
-                    this.#triggerEvent("outgoingPeerError", hostId);
-                    this.#triggerEvent("error", "Error in host connection: " + error);
-                });
+    /**
+     * Send ephemeral state to all clients except its sender, preferably over their unreliable connections (Host function)
+     * @private
+     * @param {object} message
+     */
+    #relayEphemeralState(message) {
+        const { sender, session, seq, sentAt, state } = message;
+        this.#hostConnections.forEach(([connection]) => {
+            if (!connection?.peer || connection.peer === sender) return;
+            const target = this.#ephemeralConnections.get(connection.peer)?.open ? this.#ephemeralConnections.get(connection.peer) : connection;
+            try {
+                if (target.open) target.send({ type: 'ephemeral_state', sender, session, seq, sentAt, state });
             } catch (error) {
-                this.#triggerEvent("error", "Error in connection to host: " + error);
+                this.#triggerEvent("error", "Error relaying ephemeral state: " + error);
             }
         });
     }
 
     /**
-     * Update storage with new value
-     * @public
-     * @param {string} key - Storage key to update
-     * @param {*} value - New value
+     * Check the password and ask the join request handler before letting a peer into the room (Host function)
+     * @async
+     * @private
+     * @param {object} incomingConnection - Connection of the joining peer
+     * @param {object} request - Join request (password, metadata, room id and vector clock for the storage sync)
      */
-    updateStorage(key, value) {
-        const propUpdate = this.#crdtManager.updateProperty(key, "set", value); // Optimistic update
-        if (this.#isHost) {
-            this.#broadcastMessage("property_update", { update: propUpdate });
-        } else {
-            try {
-                if (this.#outgoingConnection?.open) {
-                    this.#outgoingConnection?.send({
-                        type: 'property_update_request',
-                        update: propUpdate
-                    });
-                }
-            } catch (error) {
-                this.#triggerEvent("error", "Error sending property update to host: " + error);
-            }
-        }
-        if (this.#crdtManager.didPropertiesChange) this.#triggerEvent("storageUpdated", this.getStorage);
+    async #handleJoinRequest(incomingConnection, request) {
+        const peerId = incomingConnection.peer;
+        if (this.#pendingJoins.get(peerId) !== incomingConnection) return; // Not waiting for a join request
+
+        // Peers reconnecting to their slot (or following a migrated host) were already approved
+        const isReconnect = this.#reservedSlots.has(peerId) || this.#hostConnections.some(c => c[0]?.peer === peerId) || this.#hostConnectionsIdArray.includes(peerId);
+        if (!(await this.#checkJoinRequest(incomingConnection, request, isReconnect))) return;
+        if (!this.#isHost || this.#pendingJoins.get(peerId) !== incomingConnection || !incomingConnection.open) return; // Peer left or host stepped down meanwhile
+
+        this.#acceptJoin(incomingConnection, request);
     }
 
     /**
-     * Safely update an array from a storage key
-     * @param {string} key 
-     * @param {string} operation 
-     * @param {*} value 
-     * @param {* | undefined} updateValue 
+     * Check the room password and ask the join request handler, and reject the peer if either fails (Host function, and mesh peers)
+     * @async
+     * @private
+     * @param {object} connection - Connection of the joining peer
+     * @param {object} request - Join request (password, metadata)
+     * @param {boolean} [isReconnect] - The peer was already approved (the join request handler isn't asked again)
+     * @returns {Promise<boolean>} Resolves with true if the peer may join
      */
-    updateStorageArray(key, operation, value, updateValue) {
-        const propUpdate = this.#crdtManager.updateProperty(key, "array-" + operation, value, updateValue); // Optimistic update
-        if (this.#isHost) {
-            this.#broadcastMessage("property_update", { update: propUpdate });
-        } else {
-            try {
-                if (this.#outgoingConnection?.open) {
-                    this.#outgoingConnection?.send({
-                        type: 'property_update_request',
-                        update: propUpdate
-                    });
-                }
-            } catch (error) {
-                this.#triggerEvent("error", "Error sending property update to host: " + error);
-            }
+    async #checkJoinRequest(connection, request, isReconnect = false) {
+        if (this.#roomPassword && request.password !== this.#roomPassword) {
+            this.#triggerEvent("status", "Rejected connection - wrong password.");
+            this.#rejectJoin(connection, "wrong-password", "Wrong room password.");
+            return false;
+        }
+        if (!this.#joinRequestHandler || isReconnect) return true;
+
+        let result;
+        try {
+            result = await this.#joinRequestHandler({ peerId: connection.peer, metadata: request.metadata });
+        } catch (error) {
+            console.error(ERROR_PREFIX + "Join request handler error:", error);
+            this.#triggerEvent("error", "Join request handler error - join rejected: " + error);
+        }
+        if (result !== true) {
+            this.#triggerEvent("status", "Rejected connection - join request denied.");
+            this.#rejectJoin(connection, "rejected", typeof result === "string" ? result : "Join request rejected.");
+            return false;
         }
-        if (this.#crdtManager.didPropertiesChange) this.#triggerEvent("storageUpdated", this.getStorage);
+        return true;
     }
 
     /**
-     * Broadcast a message of a specific type to all peers. Used by host only
+     * Join time of a joining peer: peers re-joining the same room (e.g. after host migration) keep theirs
      * @private
-     * @param {string} type - Message type (e.g."peer_list")
-     * @param {object} [payload] - Additional data to send
+     * @param {object} request - Join request (room id and join time in the room the peer was in)
+     * @returns {number}
      */
-    #broadcastMessage(type, payload = {}) {
-        const message = { type, ...payload };
-        this.#hostConnections.forEach((element) => {
-            const connection = element[0];
-            if (connection?.open) {
-                try {
-                    connection.send(message);
-                } catch (error) {
-                    this.#triggerEvent("error", `Failed to send broadcast message to peer ${connection?.peer}: ${error}`);
-                }
-            }
-        });
+    #getJoinedAt(request) {
+        return (request.roomId && request.roomId === this.#roomId && typeof request.joinedAt === "number") ? request.joinedAt : Date.now();
     }
 
     /**
-     * Handle host migration when current host disconnects
-     * @async
+     * Add a peer to the room and send it the storage state (Host function)
+     * @private
+     * @param {object} incomingConnection - Connection of the joining peer
+     * @param {object} request - Join request
+     */
+    #acceptJoin(incomingConnection, request) {
+        const peerId = incomingConnection.peer;
+        this.#pendingJoins.delete(peerId);
+
+        // A peer that reconnects takes over its previous slot (the old connection might not have noticed the drop yet)
+        if (this.#reservedSlots.delete(peerId)) this.#triggerEvent("status", "Peer reconnected to its reserved slot.");
+        const staleEntry = this.#hostConnections.find(c => c[0]?.peer === peerId && c[0] !== incomingConnection);
+        if (staleEntry) {
+            this.#replacedConnections.add(staleEntry[0]);
+            this.#hostConnections.splice(this.#hostConnections.indexOf(staleEntry), 1);
+            try { staleEntry[0].close(); } catch (error) {
+                this.#triggerEvent("error", "Failed to close replaced incoming connection: " + error);
+            }
+        }
+
+        if (this.#hostConnections.findIndex(c => c[0] === incomingConnection) == -1) {
+            this.#hostConnections.push([incomingConnection, Date.now(), { metadata: request.metadata, joinedAt: this.#getJoinedAt(request), spectator: Boolean(incomingConnection.metadata?.spectator) }]);
+        }
+        this.#startHostHeartbeatCheck();
+
+        this.#broadcastPeerList();
+        this.#triggerEvent("incomingPeerConnected", peerId);
+
+        this.#sendStateSync(incomingConnection, request);
+    }
+
+    /**
+     * Reject a joining peer with a reason and close the connection (Host function)
+     * @private
+     * @param {object} incomingConnection - Connection of the joining peer
+     * @param {string} code - Rejection code
+     * @param {string} reason - Human-readable reason
+     */
+    #rejectJoin(incomingConnection, code, reason) {
+        if (this.#pendingJoins.get(incomingConnection.peer) === incomingConnection) this.#pendingJoins.delete(incomingConnection.peer);
+
+        const close = () => {
+            try { incomingConnection.close(); } catch (error) {
+                this.#triggerEvent("error", `Failed to close incoming connection (${code}): ` + error);
+            }
+        };
+        const sendRejection = () => {
+            try {
+                this.#sendFromHost(incomingConnection, { type: 'join_rejected', code, reason });
+            } catch (error) {
+                this.#triggerEvent("error", "Error sending join rejection: " + error);
+            }
+            setTimeout(close, 500); // Give the rejection time to arrive
+        };
+
+        if (incomingConnection.open) return sendRejection();
+        incomingConnection.on('open', sendRejection);
+        setTimeout(close, this.#connectionPolicy.connectionTimeout); // In case the connection never opens
+    }
+
+    /**
+     * Set up host heartbeat check if not already (Host function)
+     * @private
+     */
+    #startHostHeartbeatCheck() {
+        if (this.#heartbeatHostCheckInterval) return;
+        this.#heartbeatHostCheckInterval = setInterval(() => {
+            if (!this.#isHost) {
+                clearInterval(this.#heartbeatHostCheckInterval);
+                this.#heartbeatHostCheckInterval = undefined;
+                return;
+            }
+            this.#hostConnections?.forEach((e) => {
+                if (e[1] < Date.now() - this.#connectionPolicy.heartbeatTimeout) {
+                    console.warn(WARNING_PREFIX + "Peer did not send heartbeats - closing connection.");
+                    this.#triggerEvent("status", "Peer did not send heartbeats - closing connection.");
+                    try { e[0]?.close(); } catch (error) {
+                        this.#triggerEvent("error", "Failed to close incoming connection (no heartbeat): " + error);
+                    }
+                    this.#removeIncomingConnectionFromArray(e[0]); // Remove the entry now, regardless if the close worked
+                }
+            });
+
+            // Share the connection quality of all peers
+            const quality = {};
+            this.#hostConnections.forEach(([connection]) => {
+                if (this.#peerQuality.has(connection?.peer)) quality[connection.peer] = this.#peerQuality.get(connection.peer);
+            });
+            if (Object.keys(quality).length) this.#broadcastMessage("peer_quality", { quality });
+        }, this.#connectionPolicy.heartbeatInterval);
+    }
+
+    /**
+     * Send the storage state to a client – only the missing operations if it was in this room before, otherwise the full state (Host function)
+     * @private
+     * @param {object} incomingConnection - Connection of the client
+     * @param {object} request - Sync request containing the client's room id and vector clock
+     */
+    #sendStateSync(incomingConnection, request) {
+        const delta = request.roomId === this.#roomId ? this.#crdtManager.getDelta(request.vectorClock) : null;
+        const message = delta
+            ? { type: 'state_delta', delta }
+            : { type: 'state_init', state: this.#crdtManager.getState };
+        if (this.#topology === "mesh") Object.assign(message, { topology: "mesh", peers: [...this.#peerPresence.values()] }); // Members to connect to
+
+        try {
+            this.#sendFromHost(incomingConnection, { ...message, roomId: this.#roomId, roomConfig: this.#roomConfig, permissions: this.#storagePermissions.rules, bannedPeers: this.bannedPeers, passwordProtected: !!this.#roomPassword });
+        } catch (error) {
+            this.#triggerEvent("error", "Error sending initial storage sync: " + error);
+        }
+    }
+
+    /**
+     * Import a storage sync from the host and re-send own operations the host hasn't seen yet (Client function)
+     * @private
+     * @param {object} data - state_init or state_delta message
+     */
+    #handleStateSync(data) {
+        if (data.permissions) this.#storagePermissions.import(data.permissions);
+        if (data.roomConfig) this.#applyRoomConfig(data.roomConfig);
+        if (Array.isArray(data.bannedPeers)) this.#bannedPeers = new Set(data.bannedPeers);
+        const hostVectorClock = data.type === 'state_delta' ? data.delta?.vectorClock : data.state?.vectorClock;
+
+        // Unacknowledged own updates are only kept when re-joining the same room (e.g. after host migration)
+        const sameRoom = data.roomId && data.roomId === this.#roomId;
+        const pendingUpdates = sameRoom ? this.#crdtManager.getOperationsSince(hostVectorClock, !this.#pendingStateMerge) : [];
+        this.#roomId = data.roomId;
+
+        if (data.type === 'state_delta') {
+            if (!data.delta) return;
+            this.#crdtManager.importDelta(data.delta);
+        } else {
+            if (!data.state) return;
+            this.#crdtManager.importState(data.state);
+            pendingUpdates.forEach(update => this.#crdtManager.importPropertyUpdate(update));
+        }
+        this.#emitStorageChanges(data.type === 'state_init');
+
+        // After stepping down as host, hand over everything the winning host hasn't seen (including updates of former clients)
+        if (this.#pendingStateMerge) {
+            this.#pendingStateMerge = false;
+            try {
+                this.#outgoingConnection?.send({ type: 'state_merge', updates: pendingUpdates });
+            } catch (error) {
+                this.#triggerEvent("error", "Error sending state merge to host: " + error);
+            }
+            return;
+        }
+
+        pendingUpdates.forEach((update) => {
+            try {
+                this.#outgoingConnection?.send({ type: 'property_update_request', update });
+            } catch (error) {
+                this.#triggerEvent("error", "Error re-sending property update to host: " + error);
+            }
+        });
+    }
+
+    /**
+     * Import the state of a host that stepped down and pass the new operations on to all clients (Host function).
+     * Only accepted from a host that lost a host conflict against this one, and every operation is validated against its author
+     * @private
+     * @param {object} incomingConnection - Connection of the former host
+     * @param {Array} updates - Property updates
+     */
+    #handleStateMerge(incomingConnection, updates) {
+        const formerHostId = incomingConnection.peer;
+        const expiresAt = this.#expectedStateMerges.get(formerHostId);
+        this.#expectedStateMerges.delete(formerHostId);
+        if (!expiresAt || expiresAt < Date.now()) return console.warn(WARNING_PREFIX + `Ignored state merge of ${formerHostId} - it didn't step down in favor of this host.`);
+        if (!Array.isArray(updates)) return;
+
+        const accepted = [];
+        const rejected = [];
+        updates.forEach((update) => {
+            if (!update?.key || !update?.operation?.uuid) return;
+            const author = typeof update.operation.author === "string" ? update.operation.author : formerHostId;
+            update.operation.author = author;
+            const verdict = this.#validateStorageUpdate(author, update.key, update.operation.data, author === formerHostId); // The former host's own updates were host updates
+            if (verdict.accepted && !verdict.replacement) return accepted.push(update); // Replacements can't be applied to another host's history
+            rejected.push({ key: update.key, uuid: update.operation.uuid, replaced: false });
+        });
+
+        if (rejected.length) {
+            // The former host applied the rejected updates locally already
+            try {
+                this.#sendFromHost(incomingConnection, { type: 'property_batch_rejected', rejected });
+            } catch (error) {
+                this.#triggerEvent("error", "Error sending storage update rejection: " + error);
+            }
+        }
+        if (!accepted.length) return;
+        accepted.forEach(update => this.#crdtManager.importPropertyUpdate(update));
+        this.#sendStorageUpdates(accepted);
+        this.#emitStorageChanges();
+        this.#schedulePersist();
+    }
+
+    /**
+     * Send a message to a client, stamped with the host epoch (Host function)
+     * @private
+     * @param {object} connection - Connection to the client
+     * @param {object} message
+     */
+    #sendFromHost(connection, message) {
+        connection.send({ ...message, epoch: this.#hostEpoch });
+    }
+
+    /**
+     * Handle a connection of another peer that announces itself as host of this room
+     * @private
+     * @param {object} connection - Announce connection
+     */
+    #handleHostAnnounceConnection(connection) {
+        setTimeout(() => connection.close(), this.#connectionPolicy.handshakeTimeout); // Announce connections are short-lived
+
+        connection.on('data', (data) => {
+            if (data?.type !== 'host_announce' || !data.roomId || data.roomId !== this.#roomId) return;
+            if (data.hostId !== connection.peer) return; // Peers can only announce themselves
+
+            if (this.#isHost) {
+                // Reply, so that the other host can resolve the conflict as well
+                try {
+                    connection.send({ type: 'host_announce', roomId: this.#roomId, hostId: this.#id, epoch: this.#hostEpoch });
+                } catch (error) {
+                    this.#triggerEvent("error", "Error replying to host announcement: " + error);
+                }
+                this.#resolveHostConflict(data.hostId, data.epoch);
+            } else if (this.#outgoingConnection?.open && this.#outgoingConnection.peer !== data.hostId) {
+                // Let the own host resolve the conflict
+                try {
+                    this.#outgoingConnection.send({ type: 'host_conflict', hostId: data.hostId, epoch: data.epoch });
+                } catch (error) {
+                    this.#triggerEvent("error", "Error forwarding host announcement: " + error);
+                }
+            }
+        });
+    }
+
+    /**
+     * Announce this host to peers of the room that did not join it (they might be in a room partition with another host)
+     * @private
+     * @param {string[]} peerIds - Ids of the peers to announce to
+     */
+    #announceHost(peerIds) {
+        peerIds.forEach((peerId) => {
+            if (!this.#isHost || peerId === this.#id || this.#hostConnections.some(c => c[0]?.peer === peerId)) return;
+            try {
+                const connection = this.#peer.connect(peerId, { reliable: true, metadata: { hostAnnounce: true } });
+                setTimeout(() => connection.close(), this.#connectionPolicy.handshakeTimeout);
+                connection.on('open', () => {
+                    connection.send({ type: 'host_announce', roomId: this.#roomId, hostId: this.#id, epoch: this.#hostEpoch });
+                });
+                connection.on('data', (data) => {
+                    if (data?.type === 'host_announce' && data.roomId === this.#roomId && data.hostId === connection.peer) this.#resolveHostConflict(data.hostId, data.epoch);
+                });
+                connection.on('error', () => { }); // Unreachable peers are expected
+            } catch (error) {
+                this.#triggerEvent("error", "Error announcing host: " + error);
+            }
+        });
+    }
+
+    /**
+     * Resolve two hosts in the same room: the higher epoch wins, ties are won by the lower peer id (Host function).
+     * Only called with a host that announced itself over its own announce connection
+     * @private
+     * @param {string} otherHostId - Id of the other host
+     * @param {number} otherEpoch - Epoch of the other host
+     */
+    #resolveHostConflict(otherHostId, otherEpoch) {
+        if (!this.#isHost || !otherHostId || otherHostId === this.#id || typeof otherEpoch !== "number") return;
+        if (this.#hostConnections.some(c => c[0]?.peer === otherHostId)) return; // Own clients aren't hosting
+        const otherWins = otherEpoch > this.#hostEpoch || (otherEpoch === this.#hostEpoch && otherHostId < this.#id);
+
+        if (!otherWins) {
+            const { joinRequestTimeout, connectionTimeout } = this.#connectionPolicy;
+            this.#expectedStateMerges.set(otherHostId, Date.now() + connectionTimeout + joinRequestTimeout); // Its state merge is expected once it joined
+            return this.#announceHost([otherHostId]); // Make sure the other host learns about this one and steps down
+        }
+        this.#stepDown(otherHostId, otherEpoch);
+    }
+
+    /**
+     * Stop hosting in favor of another host: merge the state into it and move all clients over
+     * @async
+     * @private
+     * @param {string} newHostId - Id of the winning host
+     * @param {number} newEpoch - Epoch of the winning host
+     */
+    async #stepDown(newHostId, newEpoch) {
+        console.warn(WARNING_PREFIX + `Another host (${newHostId}, epoch ${newEpoch}) exists in this room - stepping down.`);
+        this.#triggerEvent("status", "Another host exists in this room - stepping down...");
+
+        const formerClients = [...this.#hostConnections];
+        this.#isHost = false;
+        this.#updateDiscovery(); // The winning host advertises the room
+        this.#pendingStateMerge = true;
+
+        try {
+            await this.joinRoom(newHostId, { ...this.#joinOptions, password: this.#roomPassword });
+        } catch (error) {
+            console.warn(WARNING_PREFIX + "Failed to join winning host - continuing to host:", error);
+            this.#pendingStateMerge = false;
+            this.#isHost = true;
+            this.#updateDiscovery();
+            return;
+        }
+
+        // Move former clients to the winning host
+        this.#hostConnections = [];
+        formerClients.forEach(([connection]) => {
+            try {
+                if (connection?.open) connection.send({ type: 'host_redirect', hostId: newHostId, epoch: this.#hostEpoch });
+            } catch (error) {
+                this.#triggerEvent("error", "Error redirecting client to new host: " + error);
+            }
+        });
+        this.#triggerEvent("hostMigrated", newHostId, this.#hostEpoch);
+    }
+
+    /**
+     * Move to another host of the same room, after the current host stepped down (Client function)
+     * @async
+     * @private
+     * @param {string} hostId - Id of the host to move to
+     */
+    async #followHostRedirect(hostId) {
+        const oldConnection = this.#outgoingConnection;
+        this.#outgoingConnection = null; // Prevents the close handler from reconnecting
+        clearInterval(this.#heartbeatSendInterval);
+        try { oldConnection?.close(); } catch { }
+
+        try {
+            await this.joinRoom(hostId, this.#joinOptions);
+            this.#triggerEvent("hostMigrated", hostId, this.#hostEpoch);
+        } catch (error) {
+            console.warn(WARNING_PREFIX + "Failed to follow host redirect:", error);
+            this.#reconnectToHost(hostId);
+        }
+    }
+
+    /**
+     * Handle a connection in mesh mode: either a new peer joining through this peer, or a member
+     * that was let in by another peer and now connects to everyone (Mesh function)
+     * @private
+     * @param {object} connection
+     */
+    #handleMeshConnection(connection) {
+        if (this.#topology !== "mesh") {
+            setTimeout(() => connection.close(), this.#connectionPolicy.connectionTimeout); // Not in a mesh room (anymore)
+            return;
+        }
+        if (this.#bannedPeers.has(connection.peer)) {
+            this.#triggerEvent("status", "Rejected connection - peer is banned.");
+            return this.#rejectJoin(connection, "banned", "Banned from this room.");
+        }
+        this.#mesh.handleConnection(connection);
+    }
+
+    /**
+     * Let a new peer into the mesh room, with the same checks the host does in star mode (Mesh function)
+     * @async
+     * @private
+     * @param {object} connection - Connection of the joining peer
+     * @param {object} request - Join request
+     */
+    async #handleMeshJoinRequest(connection, request) {
+        const peerId = connection.peer;
+        const isReconnect = this.#mesh.has(peerId);
+        const spectator = Boolean(connection.metadata?.spectator);
+        const members = [{ spectator: this.#isSpectator }, ...this.#mesh.members].filter(member => member.spectator === spectator);
+        const limit = spectator ? this.#roomConfig.maxSpectators : this.#roomConfig.maxSize;
+        if (!isReconnect && limit !== undefined && members.length >= limit) {
+            this.#triggerEvent("status", "Rejected connection - room is full.");
+            return this.#rejectJoin(connection, "room-full", "Room is full.");
+        }
+        if (!isReconnect && !spectator && this.#roomConfig.locked) {
+            this.#triggerEvent("status", "Rejected connection - room is locked.");
+            return this.#rejectJoin(connection, "room-locked", "Room is locked.");
+        }
+        if (!(await this.#checkJoinRequest(connection, request, isReconnect))) return;
+        if (this.#topology !== "mesh" || !connection.open) return; // Left the room or peer left meanwhile
+
+        this.#mesh.addLink(connection, { metadata: request.metadata, joinedAt: this.#getJoinedAt(request), spectator });
+        this.#triggerEvent("incomingPeerConnected", peerId);
+        this.#sendStateSync(connection, request);
+    }
+
+    /**
+     * Switch to mesh mode after joining a mesh room, and connect to the other members (Mesh function)
+     * @private
+     * @param {object} connection - Connection to the peer that let this peer in
+     * @param {object} data - state_init or state_delta message
+     */
+    #enterMesh(connection, data) {
+        this.#topology = "mesh";
+        this.#outgoingConnection = null; // Not a client of a host - the connection becomes a mesh link
+        clearInterval(this.#heartbeatSendInterval);
+        try { this.#ephemeralConnection?.close(); } catch { }
+
+        const members = Array.isArray(data.peers) ? data.peers : [];
+        const entry = members.find(peer => peer?.id === connection.peer);
+        const self = members.find(peer => peer?.id === this.#id);
+        this.#mesh.addLink(connection, { metadata: entry?.metadata, joinedAt: entry?.joinedAt, spectator: Boolean(entry?.spectator) }, self?.joinedAt);
+        members.forEach(peer => this.#mesh.connect(peer?.id));
+        this.#mesh.startHeartbeat();
+    }
+
+    /**
+     * Rebuild the presence from the mesh links. The longest-standing player acts as host (room configuration,
+     * permissions, moderation) – when it leaves, the next one takes over without any reconnection (Mesh function)
+     * @private
+     * @param {number} [ownJoinedAt]
+     */
+    #updateMeshPresence(ownJoinedAt = this.#peerPresence.get(this.#id)?.joinedAt ?? Date.now()) {
+        for (const peerId of [...this.#ephemeralConnections.keys()]) {
+            if (!this.#mesh.isMember(peerId)) this.#closeEphemeralConnection(peerId); // Left the room
+        }
+        const members = [{ id: this.#id, metadata: this.#metadata, joinedAt: ownJoinedAt, spectator: this.#isSpectator }, ...this.#mesh.members];
+        const [host] = members.filter(member => !member.spectator).sort((a, b) => (a.joinedAt - b.joinedAt) || (a.id < b.id ? -1 : 1));
+        this.#isHost = host?.id === this.#id;
+        this.#updatePeerPresence(members.map(member => ({ ...member, isHost: member.id === host?.id })));
+    }
+
+    /**
+     * Handle a room message from a mesh peer – mesh handshakes, heartbeats and storage updates are handled by the mesh network (Mesh function)
+     * @private
+     * @param {string} peerId
+     * @param {object} data
+     */
+    #handleMeshMessage(peerId, data) {
+        const fromHost = this.#peerPresence.get(peerId)?.isHost; // Room configuration and moderation are only accepted from the host
+
+        switch (data.type) {
+            case 'property_batch_rejected':
+                if (fromHost) this.#revertRejectedUpdates(data.rejected);
+                break;
+            case 'peer_metadata_update':
+                this.#mesh.setMetadata(peerId, data.metadata);
+                this.#updateMeshPresence();
+                break;
+            case 'ephemeral_state':
+                this.#handleEphemeralState({ ...data, sender: peerId });
+                break;
+            case 'user_message':
+                if (typeof data.messageType === "string") this.#triggerEvent("message", data.messageType, data.payload, peerId);
+                break;
+            case 'room_config':
+                if (fromHost && data.roomConfig) this.#applyRoomConfig(data.roomConfig);
+                break;
+            case 'storage_permissions':
+                if (fromHost) this.#storagePermissions.import(data.permissions);
+                break;
+            case 'ban_list':
+                if (!fromHost || !Array.isArray(data.bannedPeers)) break;
+                this.#bannedPeers = new Set(data.bannedPeers);
+                this.#bannedPeers.forEach(id => this.#mesh.closeLink(id));
+                break;
+            case 'peer_kicked':
+                if (fromHost) this.#mesh.closeLink(data.peerId);
+                break;
+            case 'kicked':
+                if (!fromHost) break;
+                this.#leaveMesh();
+                this.#triggerEvent("status", "Removed from the room by the host.");
+                this.#triggerEvent("kicked", data.reason, !!data.banned);
+                break;
+        }
+    }
+
+    /**
+     * Import new storage updates from a mesh peer. Every update is checked against the permissions and the storage
+     * validator for its author, like the host does in star mode (Mesh function)
+     * @private
+     * @param {string} peerId - Id of the peer that sent the updates
+     * @param {Array} updates - Property updates, with the author set by the mesh network
+     * @param {boolean} [atomic] - Transaction, rejected as a whole if any update is rejected
+     */
+    #importMeshUpdates(peerId, updates, atomic = false) {
+        const rejected = updates.filter(update => {
+            const verdict = this.#validateStorageUpdate(update.operation.author, update.key, update.operation.data);
+            return !verdict.accepted || verdict.replacement; // Replacements can't be applied consistently without a host
+        });
+        const accepted = (atomic && rejected.length) ? [] : updates.filter(update => !rejected.includes(update));
+
+        // The host tells the sender to roll back (the other peers drop the updates the same way, given the same validator)
+        const rollback = updates.filter(update => !accepted.includes(update));
+        if (rollback.length && this.#isHost) {
+            try {
+                this.#mesh.getConnection(peerId)?.send({ type: 'property_batch_rejected', rejected: rollback.map(({ key, operation }) => ({ key, uuid: operation.uuid, replaced: false })) });
+            } catch (error) {
+                this.#triggerEvent("error", "Error sending storage update rejection: " + error);
+            }
+        }
+
+        accepted.forEach(update => this.#crdtManager.importPropertyUpdate(update));
+        this.#emitStorageChanges();
+        this.#schedulePersist();
+    }
+
+    /**
+     * Close all mesh connections and leave the mesh room (Mesh function)
+     * @private
+     */
+    #leaveMesh() {
+        this.#mesh.leave();
+        this.#topology = "star";
+        this.#isHost = false;
+        this.#hostEpoch = 0;
+        [...this.#ephemeralConnections.keys()].forEach(peerId => this.#closeEphemeralConnection(peerId));
+        this.#clearPeerPresence();
+    }
+
+    /**
+     * Validate, import and broadcast a storage update requested by a client (Host function)
+     * @private
+     * @param {object} incomingConnection - Connection of the client that sent the update
+     * @param {object} update - Property update created by the client's CRDT manager
+     */
+    #handlePropertyUpdateRequest(incomingConnection, update) {
+        this.#handlePropertyBatchRequest(incomingConnection, [update], false); // Same verdicts, replacements and rollbacks as a batch of one
+    }
+
+    /**
+     * Validate, import and broadcast a batch of storage updates requested by a client (Host function).
+     * Atomic batches (transactions) are rejected as a whole if any update is rejected
+     * @private
+     * @param {object} incomingConnection - Connection of the client that sent the batch
+     * @param {Array} updates - Property updates created by the client's CRDT manager
+     * @param {boolean} atomic
+     */
+    #handlePropertyBatchRequest(incomingConnection, updates, atomic) {
+        if (!Array.isArray(updates) || !updates.length) return;
+        updates.forEach((update) => {
+            if (update?.operation) update.operation.author = incomingConnection.peer; // Taken from the connection, not the payload
+        });
+        const verdicts = updates.map(update => this.#validateStorageUpdate(incomingConnection.peer, update?.key, update?.operation?.data));
+
+        const rejectAll = atomic && verdicts.some(verdict => !verdict.accepted);
+        const rejected = [];
+        const accepted = [];
+        updates.forEach((update, index) => {
+            const verdict = rejectAll ? { accepted: false } : verdicts[index];
+            if (!verdict.accepted || verdict.replacement) rejected.push({ key: update?.key, uuid: update?.operation?.uuid, replaced: Boolean(verdict.replacement) });
+            if (!verdict.accepted) return;
+
+            if (verdict.replacement) {
+                // Apply the replacement as a host update instead
+                const { value, updateValue } = verdict.replacement;
+                const propUpdate = this.#crdtManager.updateProperty(update.key, update.operation.data.type, value, updateValue, update.operation.data.path);
+                if (propUpdate) accepted.push(propUpdate);
+                return;
+            }
+            this.#crdtManager.importPropertyUpdate(update);
+            accepted.push(update);
+        });
+
+        if (rejected.length) {
+            // Tell the client to roll back its optimistic updates
+            try {
+                this.#sendFromHost(incomingConnection, { type: 'property_batch_rejected', rejected });
+            } catch (error) {
+                this.#triggerEvent("error", "Error sending storage update rejection: " + error);
+            }
+        }
+        if (!accepted.length) return;
+        this.#emitStorageChanges();
+        this.#sendStorageUpdates(accepted, atomic);
+        this.#schedulePersist();
+    }
+
+    /**
+     * Send storage updates to the other peers (if hosting) or to the host – collected for the next flush if auto-batching.
+     * Atomic batches are sent right away (after the collected updates, to keep the order)
+     * @private
+     * @param {Array} updates - Property updates
+     * @param {boolean} [atomic]
+     */
+    #sendStorageUpdates(updates, atomic = false) {
+        if (!updates.length) return;
+        if (this.#autoBatch && !atomic) {
+            this.#outgoingUpdates.push(...updates);
+            if (this.#flushScheduled) return;
+            this.#flushScheduled = true;
+            const flush = () => this.#flushOutgoingUpdates();
+            if (this.#autoBatch === "frame" && typeof requestAnimationFrame === "function") requestAnimationFrame(flush);
+            else setTimeout(flush, this.#autoBatch === "frame" ? 16 : this.#autoBatch);
+            return;
+        }
+        this.#flushOutgoingUpdates();
+        this.#transmitStorageUpdates(updates, atomic);
+    }
+
+    /**
+     * Send the updates collected by auto-batching
+     * @private
+     */
+    #flushOutgoingUpdates() {
+        this.#flushScheduled = false;
+        const updates = this.#outgoingUpdates;
+        this.#outgoingUpdates = [];
+        this.#transmitStorageUpdates(updates, false);
+    }
+
+    /**
+     * Send storage updates as one message
+     * @private
+     * @param {Array} updates - Property updates
+     * @param {boolean} atomic
+     */
+    #transmitStorageUpdates(updates, atomic) {
+        if (!updates.length) return;
+        if (this.#isHost || this.#topology === "mesh") {
+            if (updates.length === 1) this.#broadcastMessage("property_update", { update: updates[0] });
+            else this.#broadcastMessage("property_batch", { updates, atomic }); // Atomic is only checked by mesh peers
+            return;
+        }
+        try {
+            if (!this.#outgoingConnection?.open) return;
+            if (updates.length === 1 && !atomic) this.#outgoingConnection.send({ type: 'property_update_request', update: updates[0] });
+            else this.#outgoingConnection.send({ type: 'property_batch_request', updates, atomic });
+        } catch (error) {
+            this.#triggerEvent("error", "Error sending property update to host: " + error);
+        }
+    }
+
+    /**
+     * Roll back own optimistic updates that the host rejected (Client function)
+     * @private
+     * @param {Array} rejected - Array of { key, uuid, replaced }
+     */
+    #revertRejectedUpdates(rejected) {
+        if (!Array.isArray(rejected)) return;
+        const reverted = rejected.map(({ key, uuid, replaced }) => ({ key, replaced, op: this.#crdtManager.revertOperation(key, uuid) }));
+        this.#forgetHistoryChanges(rejected.map(({ uuid }) => uuid));
+        this.#emitStorageChanges();
+        reverted.forEach(({ key, replaced, op }) => {
+            if (!replaced) this.#triggerEvent("storageUpdateRejected", key, op?.data?.type, op?.data?.value, op?.data?.updateValue);
+        });
+    }
+
+    /**
+     * Run the storage validator for a client update (Host function)
+     * @private
+     * @param {string} peerId - Id of the peer that sent the update
+     * @param {string} key - Storage key
+     * @param {object} data - Operation data (type, value, updateValue)
+     * @param {boolean} [asHost] - Check the host permissions (e.g. for the own updates of a host that stepped down)
+     * @returns {{accepted: boolean, replacement?: object}} - Verdict
+     */
+    #validateStorageUpdate(peerId, key, data, asHost = false) {
+        if (typeof key !== "string" || typeof data?.type !== "string") return { accepted: false };
+        if (this.#peerPresence.get(peerId)?.spectator) return { accepted: false }; // Spectators are read-only
+        const isHostPeer = asHost || (this.#topology === "mesh" ? Boolean(this.#peerPresence.get(peerId)?.isHost) : peerId === this.#id);
+        if (!this.#storagePermissions.canWrite(key, peerId, isHostPeer)) return { accepted: false };
+        if (!this.#storageValidator) return { accepted: true };
+
+        try {
+            const result = this.#storageValidator({ peerId, key, path: data.path || [], type: data.type, value: data.value, updateValue: data.updateValue }, this.getStorage);
+            if (result === false) return { accepted: false };
+            if (result && typeof result === "object" && "value" in result) return { accepted: true, replacement: result };
+            return { accepted: true };
+        } catch (error) {
+            console.error(ERROR_PREFIX + "Storage validator error:", error);
+            this.#triggerEvent("error", "Storage validator error - update rejected: " + error);
+            return { accepted: false };
+        }
+    }
+
+    /**
+     * Trigger storageUpdated and the storage key subscriptions for the keys that changed since the last check
+     * @private
+     * @param {boolean} [force] - Trigger storageUpdated even if nothing changed
+     */
+    #emitStorageChanges(force = false) {
+        const changes = this.#crdtManager.collectChanges();
+        if (!changes.length && !force) return;
+        this.#triggerEvent("storageUpdated", this.getStorage, changes.map(change => change.key));
+        changes.forEach(change => this.#notifyStorageSubscribers(change));
+    }
+
+    /**
+     * Call the subscriptions of a changed storage key (path subscriptions only if the value at their path changed)
+     * @private
+     * @param {object} change - { key, oldValue, newValue, author }
+     */
+    #notifyStorageSubscribers({ key, oldValue, newValue, author }) {
+        this.#storageSubscriptions.filter(subscription => subscription.key === key).forEach(({ keyPath, path, callback }) => {
+            const oldValueAtPath = getValueAtPath(oldValue, path);
+            const newValueAtPath = getValueAtPath(newValue, path);
+            if (path.length && JSON.stringify(oldValueAtPath) === JSON.stringify(newValueAtPath)) return;
+            try {
+                callback(structuredClone(newValueAtPath), structuredClone(oldValueAtPath), { key: keyPath, author });
+            } catch (error) {
+                console.error(ERROR_PREFIX + `Storage subscription callback error for "${keyPath}":`, error);
+            }
+        });
+    }
+
+    /**
+     * Subscribe to changes of a storage key or nested path
+     * @public
+     * @param {string | Array<string|number>} keyPath - Storage key or path (e.g. "chat", "players[2].ready" or ["player.1", "ready"])
+     * @param {function} callback - Receives (newValue, oldValue, { key, author }). The author is the id of the peer that made the change (undefined for syncs and rollbacks)
+     * @returns {function} - Call to unsubscribe
+     */
+    onStorageKey(keyPath, callback) {
+        const { key, path } = parseStoragePath(keyPath);
+        if (!key || typeof callback !== "function") {
+            console.warn(WARNING_PREFIX + "Invalid key or callback provided to onStorageKey.");
+            return () => { };
+        }
+        const subscription = { keyPath, key, path, callback };
+        this.#storageSubscriptions.push(subscription);
+        return () => {
+            this.#storageSubscriptions = this.#storageSubscriptions.filter(s => s !== subscription);
+        };
+    }
+
+    /**
+     * Register a validator for storage updates sent by clients. Only runs while this peer is hosting
+     * @public
+     * @param {function} validator - Receives ({ peerId, key, path, type, value, updateValue }, storage). Return false to reject, { value, updateValue } to replace, anything else to accept
+     */
+    setStorageValidator(validator) {
+        if (validator && typeof validator !== "function") return console.warn(WARNING_PREFIX + "Invalid validator provided to setStorageValidator.");
+        this.#storageValidator = validator || undefined;
+    }
+
+    /**
+     * Set the write permission for a storage key or key pattern. Only the host (or a peer that is not in a room yet) can set permissions
+     * @public
+     * @param {string} keyPattern - Exact key, or pattern with "*" wildcards and an optional "{peerId}" placeholder (e.g. "player:{peerId}")
+     * @param {string | string[] | null} permission - "everyone", "host", "owner" (peer whose id fills {peerId}), an array of peer ids, or null to remove the rule
+     */
+    setStoragePermission(keyPattern, permission) {
+        if (!this.#isHost && (this.#outgoingConnection || this.#topology === "mesh")) return console.warn(WARNING_PREFIX + "Only the host can set storage permissions.");
+        if (!this.#storagePermissions.set(keyPattern, permission)) return console.warn(WARNING_PREFIX + `Invalid storage permission provided for "${keyPattern}".`);
+        if (this.#isHost) this.#broadcastMessage("storage_permissions", { permissions: this.#storagePermissions.rules });
+        this.#schedulePersist();
+    }
+
+    /**
+     * Check if this peer may write a storage key
+     * @public
+     * @param {string} key - Storage key
+     * @returns {boolean}
+     */
+    canWriteStorage(key) {
+        if (this.#isSpectator || this.#replayController) return false;
+        return this.#storagePermissions.canWrite(key, this.#id, this.#isHost);
+    }
+
+    /**
+     * Check the write permission locally before an optimistic update
+     * @private
+     * @param {string} key - Storage key
+     * @param {string} type - Operation type
+     * @param {*} value
+     * @param {*} [updateValue]
+     * @returns {boolean} - If the update may be applied
+     */
+    #checkLocalPermission(key, type, value, updateValue) {
+        if (this.canWriteStorage(key)) return true;
+        console.warn(WARNING_PREFIX + `No permission to write storage key "${key}".`);
+        this.#triggerEvent("storageUpdateRejected", key, type, value, updateValue);
+        return false;
+    }
+
+    /**
+     * Create room and become host
+     * @async
+     * @param {object} initialStorage - Initial storage object
+     * @param {number} [maxSize] - Optional maximum number of peers allowed in the room
+     * @param {object} [options]
+     * @param {boolean} [options.restore] - Restore storage and room configuration from the persistence adapter, if a snapshot exists
+     * @param {object} [options.config] - Room configuration (name, gameMode, locked, metadata)
+     * @param {string} [options.password] - Password that joining peers have to provide (has to be given again when restoring a protected room, it isn't persisted)
+     * @param {string} [options.topology] - "star" (default, all traffic goes through the host) or "mesh" (peers connect to each other directly, for small rooms)
+     * @returns {Promise} Promise resolves with peer id
+     */
+    async createRoom(initialStorage = {}, maxSize, options = {}) {
+        if (!this.#peer || this.#peer.destroyed || !this.#initialized) {
+            this.#triggerEvent("error", "Cannot create room if peer is not initialized. Note that .init() is async.");
+            console.error(ERROR_PREFIX + "Cannot create room if peer is not initialized. Note that .init() is async.");
+            throw new Error("Peer not initialized.");
+        }
+        this.#discardReplayedStorage(); // The room's storage replaces the replayed one
+
+        // Restore from snapshot, or use initial storage
+        const snapshot = options.restore ? await this.#loadPersistedSnapshot() : null;
+        if (snapshot?.passwordProtected && options.password === undefined) {
+            console.error(ERROR_PREFIX + "The saved room is password-protected - provide its password to restore it.");
+            throw new Error("Room password required to restore the room.");
+        }
+        this.#roomId = snapshot?.roomId || crypto.randomUUID();
+        this.#hostEpoch = (snapshot?.epoch || 0) + 1;
+        this.#roomPassword = options.password;
+        this.#topology = (options.topology ?? snapshot?.topology) === "mesh" ? "mesh" : "star";
+        let roomConfig = { ...options.config };
+        if (snapshot) {
+            this.#crdtManager.importState(snapshot.state);
+            this.#storagePermissions.import(snapshot.permissions);
+            this.#bannedPeers = new Set(snapshot.bannedPeers || []);
+            roomConfig = { ...snapshot.config, ...options.config };
+            if (maxSize === undefined) maxSize = snapshot.config?.maxSize;
+            this.#triggerEvent("status", "Restored room from saved snapshot.");
+        } else {
+            Object.entries(initialStorage)?.forEach(([keyPath, value]) => {
+                const { key, path } = parseStoragePath(keyPath); // Same as updateStorage
+                if (!key) return console.warn(WARNING_PREFIX + `Invalid storage key "${keyPath}" in initial storage.`);
+                this.#crdtManager.updateProperty(key, "set", value, undefined, path);
+            });
+        }
+
+        this.#isHost = true;
+        this.#isSpectator = false;
+        this.#joinOptions = {};
+        if (this.#topology === "mesh") this.#mesh.startHeartbeat();
+        this.#applyRoomConfig(this.#sanitizeRoomConfig({ ...roomConfig, maxSize }));
+        this.#emitStorageChanges(true);
+        this.#triggerEvent("status", `Room created${maxSize ? ` with size ${maxSize}` : ''}.`);
+        this.#broadcastPeerList();
+        this.#schedulePersist();
+        return this.#id;
+    }
+
+    /**
+     * Update the room configuration. Only the host can update it, changes are replicated to all peers
+     * @public
+     * @param {object} config - Fields to change: maxSize, name, gameMode, locked, metadata (set a field to null to remove it)
+     */
+    updateRoomConfig(config) {
+        if (!this.#isHost) return console.warn(WARNING_PREFIX + "Only the host can update the room configuration.");
+        if (!config || typeof config !== "object") return console.warn(WARNING_PREFIX + "Invalid config provided to updateRoomConfig.");
+
+        const roomConfig = this.#sanitizeRoomConfig({ ...this.#roomConfig, ...config });
+        this.#applyRoomConfig(roomConfig);
+        this.#broadcastMessage("room_config", { roomConfig });
+        this.#schedulePersist();
+    }
+
+    /**
+     * Remove a peer from the room (Host function). The peer is notified with a "kicked" event and doesn't migrate
+     * @public
+     * @param {string} peerId - Id of the peer to remove
+     * @param {string} [reason] - Passed to the peer's "kicked" event
+     * @returns {boolean} - If the peer was in the room
+     */
+    kickPeer(peerId, reason) {
+        if (!this.#isHost) {
+            console.warn(WARNING_PREFIX + "Only the host can kick peers.");
+            return false;
+        }
+        return this.#removePeer(peerId, reason, false);
+    }
+
+    /**
+     * Remove a peer from the room and prevent it from joining again (Host function). The ban list is replicated to all peers
+     * @public
+     * @param {string} peerId - Id of the peer to ban
+     * @param {string} [reason] - Passed to the peer's "kicked" event
+     */
+    banPeer(peerId, reason) {
+        if (!this.#isHost) return console.warn(WARNING_PREFIX + "Only the host can ban peers.");
+        if (typeof peerId !== "string" || peerId === this.#id) return console.warn(WARNING_PREFIX + "Invalid peer id provided to banPeer.");
+
+        this.#bannedPeers.add(peerId);
+        this.#broadcastMessage("ban_list", { bannedPeers: this.bannedPeers });
+        this.#removePeer(peerId, reason, true);
+        this.#schedulePersist();
+    }
+
+    /**
+     * Allow a banned peer to join again (Host function)
+     * @public
+     * @param {string} peerId - Id of the banned peer
+     */
+    unbanPeer(peerId) {
+        if (!this.#isHost) return console.warn(WARNING_PREFIX + "Only the host can unban peers.");
+        if (!this.#bannedPeers.delete(peerId)) return;
+        this.#broadcastMessage("ban_list", { bannedPeers: this.bannedPeers });
+        this.#schedulePersist();
+    }
+
+    /**
+     * Notify a peer that it was removed and close its connection, without reserving its slot (Host function)
+     * @private
+     * @param {string} peerId - Id of the peer to remove
+     * @param {string} [reason]
+     * @param {boolean} banned
+     * @returns {boolean} - If the peer was in the room
+     */
+    #removePeer(peerId, reason, banned) {
+        if (this.#topology === "mesh") {
+            const connection = this.#mesh.getConnection(peerId);
+            if (!connection) return false;
+            try {
+                connection.send({ type: 'kicked', reason, banned });
+            } catch (error) {
+                this.#triggerEvent("error", "Error notifying kicked peer: " + error);
+            }
+            this.#broadcastMessage("peer_kicked", { peerId }, peerId); // The other peers close their connections to it
+            this.#mesh.closeLink(peerId, 500); // Give the notification time to arrive
+            this.#triggerEvent("status", `Peer ${peerId} was ${banned ? "banned" : "kicked"}.`);
+            return true;
+        }
+
+        const hadReservedSlot = this.#reservedSlots.delete(peerId);
+        const pendingConnection = this.#pendingJoins.get(peerId);
+        if (pendingConnection) this.#rejectJoin(pendingConnection, banned ? "banned" : "rejected", reason || "Removed by host.");
+
+        const entry = this.#hostConnections.find(c => c[0]?.peer === peerId);
+        if (!entry) {
+            if (hadReservedSlot) this.#broadcastPeerList(); // The dropped peer won't come back
+            return !!pendingConnection || hadReservedSlot;
+        }
+        const [connection] = entry;
+
+        try {
+            this.#sendFromHost(connection, { type: 'kicked', reason, banned });
+        } catch (error) {
+            this.#triggerEvent("error", "Error notifying kicked peer: " + error);
+        }
+        this.#removeIncomingConnectionFromArray(connection, false);
+        setTimeout(() => {
+            try { connection.close(); } catch (error) {
+                this.#triggerEvent("error", "Failed to close incoming connection (kicked): " + error);
+            }
+        }, 500); // Give the notification time to arrive
+
+        this.#triggerEvent("incomingPeerDisconnected", peerId);
+        this.#triggerEvent("status", `Peer ${peerId} was ${banned ? "banned" : "kicked"}.`);
+        return true;
+    }
+
+    /**
+     * Drop invalid and removed (null) fields from a room configuration
+     * @private
+     * @param {object} config
+     * @returns {object} - Sanitized room configuration
+     */
+    #sanitizeRoomConfig(config) {
+        const { maxSize, maxSpectators, name, gameMode, locked, metadata, public: isPublic } = config;
+        const roomConfig = {};
+        if (Number.isInteger(maxSize) && maxSize > 0) roomConfig.maxSize = maxSize;
+        if (Number.isInteger(maxSpectators) && maxSpectators >= 0) roomConfig.maxSpectators = maxSpectators;
+        if (typeof name === "string") roomConfig.name = name;
+        if (typeof gameMode === "string") roomConfig.gameMode = gameMode;
+        if (typeof locked === "boolean") roomConfig.locked = locked;
+        if (typeof isPublic === "boolean") roomConfig.public = isPublic;
+        if (metadata && typeof metadata === "object") roomConfig.metadata = structuredClone(metadata);
+        return roomConfig;
+    }
+
+    /**
+     * Store a room configuration and notify if it changed
+     * @private
+     * @param {object} roomConfig
+     */
+    #applyRoomConfig(roomConfig) {
+        if (JSON.stringify(roomConfig) === JSON.stringify(this.#roomConfig)) return;
+        this.#roomConfig = structuredClone(roomConfig);
+        this.#triggerEvent("roomConfigUpdated", this.roomConfig);
+        this.#updateDiscovery();
+    }
+
+    /**
+     * Get the public information about the room, as listed by listRooms
+     * @private
+     * @returns {object} - { id, name, gameMode, players, spectators, maxSize, locked, passwordProtected, topology, metadata }
+     */
+    #getRoomInfo() {
+        const { name, gameMode, maxSize, locked, metadata } = this.#roomConfig;
+        const spectators = [...this.#peerPresence.values()].filter(peer => peer.spectator).length;
+        return { id: this.#id, name, gameMode, players: (this.#peerPresence.size - spectators) || 1, spectators, maxSize, locked: !!locked, passwordProtected: !!this.#roomPassword, topology: this.#topology, metadata };
+    }
+
+    /**
+     * Advertise the room to the discovery registry while hosting a public room, or remove it
+     * @private
+     * @param {boolean} [refresh] - Advertise again even if nothing changed (the registry drops rooms that aren't refreshed)
+     */
+    #updateDiscovery(refresh = false) {
+        if (!this.#discovery) return;
+        const { registry, prefix, interval } = this.#discovery;
+        const onError = error => this.#triggerEvent("error", "Room discovery registry error: " + error);
+
+        if (!this.#isHost || !this.#roomConfig.public || !this.#peer || this.#peer.destroyed) {
+            clearInterval(this.#discoveryInterval);
+            this.#discoveryInterval = undefined;
+            if (this.#advertisedRoom === undefined) return;
+            this.#advertisedRoom = undefined;
+            Promise.resolve().then(() => registry.remove(prefix, this.#id)).catch(onError);
+            return;
+        }
+
+        const room = this.#getRoomInfo();
+        if (!refresh && JSON.stringify(room) === this.#advertisedRoom) return;
+        this.#advertisedRoom = JSON.stringify(room);
+        Promise.resolve().then(() => registry.advertise(prefix, room)).catch(onError);
+        if (!this.#discoveryInterval) this.#discoveryInterval = setInterval(() => this.#updateDiscovery(true), interval);
+    }
+
+    /**
+     * Answer a room info request of a peer that is looking for rooms
+     * @private
+     * @param {object} connection - Short-lived discovery connection
+     */
+    #handleDiscoveryConnection(connection) {
+        setTimeout(() => connection.close(), this.#connectionPolicy.handshakeTimeout); // Discovery connections are short-lived
+        connection.on('data', (data) => {
+            if (data?.type !== 'room_info_request') return;
+            try {
+                connection.send({ type: 'room_info', room: (this.#isHost && this.#roomConfig.public) ? this.#getRoomInfo() : null });
+            } catch (error) {
+                this.#triggerEvent("error", "Error sending room info: " + error);
+            }
+        });
+    }
+
+    /**
+     * Ask a peer for its room info (for registries that only list peer ids)
+     * @private
+     * @param {string} peerId
+     * @returns {Promise<object|null>} - Room info, or null if the peer doesn't host a public room or doesn't answer in time
+     */
+    #requestRoomInfo(peerId) {
+        return new Promise((resolve) => {
+            if (peerId === this.#id) return resolve(null);
+            let connection;
+            const finish = (room) => {
+                clearTimeout(timeout);
+                try { connection?.close(); } catch { }
+                resolve(room);
+            };
+            const timeout = setTimeout(() => finish(null), this.#connectionPolicy.handshakeTimeout);
+            try {
+                connection = this.#peer.connect(peerId, { reliable: true, metadata: { discovery: true } });
+                connection.on('open', () => connection.send({ type: 'room_info_request' }));
+                connection.on('data', (data) => {
+                    if (data?.type === 'room_info') finish(data.room && typeof data.room === "object" ? { ...data.room, id: peerId } : null);
+                });
+                connection.on('error', () => finish(null)); // Unreachable peers are expected
+            } catch (error) {
+                finish(null);
+            }
+        });
+    }
+
+    /**
+     * List the public rooms of the discovery registry
+     * @public
+     * @param {object} [filter]
+     * @param {string} [filter.gameMode] - Only rooms with this game mode
+     * @param {boolean} [filter.joinable] - Only rooms that are neither locked nor full
+     * @returns {Promise<Array>} - Array of { id, name, gameMode, players, maxSize, locked, passwordProtected, topology, metadata }. Join a room with joinRoom(id)
+     */
+    async listRooms(filter = {}) {
+        if (!this.#discovery) {
+            console.warn(WARNING_PREFIX + "Cannot list rooms - no discovery registry configured.");
+            return [];
+        }
+        if (!this.#peer || this.#peer.destroyed || !this.#initialized) {
+            console.warn(WARNING_PREFIX + "Cannot list rooms if peer is not initialized.");
+            return [];
+        }
+
+        let entries;
+        try {
+            entries = await this.#discovery.registry.list(this.#discovery.prefix);
+        } catch (error) {
+            this.#triggerEvent("error", "Failed to list rooms: " + error);
+            return [];
+        }
+        const rooms = await Promise.all((Array.isArray(entries) ? entries : []).map(entry => typeof entry === "string" ? this.#requestRoomInfo(entry) : entry));
+        return rooms.filter((room) => {
+            if (!room?.id || room.id === this.#id) return false;
+            if (filter.gameMode !== undefined && room.gameMode !== filter.gameMode) return false;
+            if (filter.joinable && (room.locked || (room.maxSize && room.players >= room.maxSize))) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Join the fullest public room that has space left
+     * @public
+     * @param {object} [options]
+     * @param {string} [options.gameMode] - Only join rooms with this game mode
+     * @param {string} [options.password] - Password for protected rooms (without one, protected rooms are skipped)
+     * @param {*} [options.metadata] - Passed to joinRoom
+     * @returns {Promise<string>} - Resolves with the id of the joined room's host, rejects if no room could be joined
+     */
+    async quickJoin(options = {}) {
+        const rooms = (await this.listRooms({ gameMode: options.gameMode, joinable: true }))
+            .filter(room => !room.passwordProtected || options.password !== undefined)
+            .sort((a, b) => (b.players || 0) - (a.players || 0)); // Fill up rooms instead of spreading players out
+
+        for (const room of rooms) {
+            try {
+                await this.joinRoom(room.id, { password: options.password, metadata: options.metadata });
+                return room.id;
+            } catch (error) {
+                console.warn(WARNING_PREFIX + `Quick join of room ${room.id} failed:`, error);
+            }
+        }
+        throw new Error("No joinable room found.");
+    }
+
+    /**
+     * Load the saved snapshot from the persistence adapter
+     * @private
+     * @returns {Promise<object|null>} Snapshot, or null if none exists
+     */
+    async #loadPersistedSnapshot() {
+        if (!this.#persistence) {
+            console.warn(WARNING_PREFIX + "Cannot restore room - no persistence adapter configured.");
+            return null;
+        }
+        try {
+            const snapshot = await this.#persistence.adapter.load(this.#persistence.key);
+            if (!snapshot) return null;
+            if (!this.#isValidSnapshot(snapshot)) {
+                this.#triggerEvent("error", "Saved room is invalid or corrupted - not restoring it.");
+                return null;
+            }
+            return snapshot;
+        } catch (error) {
+            this.#triggerEvent("error", "Failed to load saved room: " + error);
+            return null;
+        }
+    }
+
+    /**
+     * Check the shape of a loaded snapshot (it might come from hand-edited or corrupted storage)
+     * @private
+     * @param {object} snapshot
+     * @returns {boolean}
+     */
+    #isValidSnapshot(snapshot) {
+        const isPairList = (value) => Array.isArray(value) && value.every(entry => Array.isArray(entry) && entry.length === 2);
+        const { state, permissions, bannedPeers, config } = snapshot;
+        if (!state || !isPairList(state.keyOperations) || !isPairList(state.vectorClock)) return false;
+        if (!state.keyOperations.every(([key, operations]) => typeof key === "string" && Array.isArray(operations))) return false;
+        if (permissions !== undefined && (!isPairList(permissions) || !permissions.every(([keyPattern]) => typeof keyPattern === "string"))) return false;
+        if (bannedPeers !== undefined && (!Array.isArray(bannedPeers) || !bannedPeers.every(peerId => typeof peerId === "string"))) return false;
+        if (config !== undefined && (!config || typeof config !== "object" || Array.isArray(config))) return false;
+        return true;
+    }
+
+    /**
+     * Save the room's state to the persistence adapter (throttled). Only saves while hosting
+     * @private
+     */
+    #schedulePersist() {
+        if (!this.#persistence || !this.#isHost || this.#persistTimeout) return;
+        this.#persistTimeout = setTimeout(() => this.#persistNow(), this.#persistence.throttle);
+    }
+
+    /**
+     * Save the room's state to the persistence adapter immediately
+     * @private
+     */
+    #persistNow() {
+        clearTimeout(this.#persistTimeout);
+        this.#persistTimeout = undefined;
+        if (!this.#persistence || !this.#isHost) return;
+
+        const snapshot = {
+            savedAt: Date.now(),
+            roomId: this.#roomId,
+            epoch: this.#hostEpoch,
+            state: this.#crdtManager.getState,
+            permissions: this.#storagePermissions.rules,
+            config: this.#roomConfig,
+            passwordProtected: !!this.#roomPassword, // The password itself isn't stored
+            bannedPeers: this.bannedPeers,
+            topology: this.#topology
+        };
+        this.#persistence.adapter.save(this.#persistence.key, snapshot)?.catch?.((error) => {
+            this.#triggerEvent("error", "Failed to save room: " + error);
+        });
+    }
+
+    /**
+     * Set a handler that decides if a peer may join the room (Host function). Peers reconnecting to their slot skip it
+     * @public
+     * @param {function} handler - Receives { peerId, metadata }. Return (or resolve with) true to accept, false or a reason string to reject
+     */
+    onJoinRequest(handler) {
+        if (handler !== null && typeof handler !== "function") return console.warn(WARNING_PREFIX + "Invalid join request handler provided.");
+        this.#joinRequestHandler = handler ?? undefined;
+    }
+
+    /**
+     * Measure round trip time, jitter and loss from a heartbeat response (Client function)
+     * @private
+     * @param {number} seq - Sequence number of the answered heartbeat
+     */
+    #recordHeartbeatResponse(seq) {
+        const sampleIndex = this.#heartbeatSamples.findIndex(sample => sample.seq === seq);
+        const sample = this.#heartbeatSamples[sampleIndex];
+        if (!sample || sample.receivedAt) return;
+        sample.receivedAt = Date.now();
+        sample.rtt = sample.receivedAt - sample.sentAt;
+
+        // Smoothed like TCP's RTT estimate, jitter as in RFC 3550
+        const previous = this.#peerQuality.get(this.#id);
+        const previousSample = this.#heartbeatSamples.slice(0, sampleIndex).reverse().find(s => s.receivedAt);
+        const rtt = previous ? previous.rtt + (sample.rtt - previous.rtt) / 8 : sample.rtt;
+        const jitter = previous && previousSample ? previous.jitter + (Math.abs(sample.rtt - previousSample.rtt) - previous.jitter) / 16 : 0;
+
+        // Heartbeats count as lost if they weren't answered within two intervals
+        const settledSamples = this.#heartbeatSamples.filter(s => s.receivedAt || s.sentAt < Date.now() - 2 * this.#connectionPolicy.heartbeatInterval);
+        const loss = settledSamples.filter(s => !s.receivedAt).length / settledSamples.length;
+
+        this.#updatePeerQuality(this.#id, { rtt, jitter, loss });
+    }
+
+    /**
+     * Store a peer's connection quality and trigger the connectionQuality event when it crosses a threshold
+     * @private
+     * @param {string} peerId
+     * @param {object} quality - { rtt, jitter, loss }
+     */
+    #updatePeerQuality(peerId, { rtt, jitter, loss } = {}) {
+        if (![rtt, jitter, loss].every(Number.isFinite)) return;
+        const thresholds = this.#qualityThresholds;
+        const level = (rtt > thresholds.rtt || jitter > thresholds.jitter || loss > thresholds.loss) ? "poor" : "good";
+        const previousLevel = this.#peerQuality.get(peerId)?.level;
+        const quality = { rtt: Math.round(rtt * 10) / 10, jitter: Math.round(jitter * 10) / 10, loss: Math.round(loss * 100) / 100, level };
+        this.#peerQuality.set(peerId, quality);
+        if (previousLevel ? level !== previousLevel : level === "poor") this.#triggerEvent("connectionQuality", peerId, { ...quality });
+    }
+
+    /**
+     * Set the metadata that this peer advertises to everyone in the room (e.g. display name, avatar, ready flag)
+     * @public
+     * @param {object | null} metadata - Replaces the previous metadata (null to remove it)
+     */
+    setPeerMetadata(metadata) {
+        if (metadata !== null && typeof metadata !== "object") return console.warn(WARNING_PREFIX + "Invalid metadata provided to setPeerMetadata.");
+        this.#metadata = metadata === null ? undefined : structuredClone(metadata);
+        if (this.#topology === "mesh") {
+            this.#updateMeshPresence();
+            this.#broadcastMessage("peer_metadata_update", { metadata: this.#metadata });
+        } else if (this.#isHost) this.#broadcastPeerList();
+        else if (this.#outgoingConnection?.open) this.#outgoingConnection.send({ type: 'peer_metadata_update', metadata: this.#metadata });
+    }
+
+    /**
+     * Get everyone in the room (including this peer)
+     * @public
+     * @returns {Array} Array of { id, metadata, joinedAt, isHost, quality }. The quality ({ rtt, jitter, loss, level }) is the host's view of the peer's connection
+     */
+    getPeers() {
+        return structuredClone([...this.#peerPresence.values()].map(peer => ({ ...peer, quality: this.#peerQuality.get(peer.id) })));
+    }
+
+    /**
+     * Send ephemeral state of this peer (e.g. position) to everyone in the room. Goes over an unreliable, unordered channel
+     * and bypasses the storage – stale packets are dropped and nothing is kept for peers that join later
+     * @public
+     * @param {*} state - Serializable state, replaces the previous one
+     */
+    setEphemeralState(state) {
+        if (!this.#isHost && !this.#outgoingConnection?.open && this.#topology !== "mesh") return console.warn(WARNING_PREFIX + "Cannot send ephemeral state - not in a room.");
+        this.#ephemeralSeq++;
+        const message = { type: 'ephemeral_state', sender: this.#id, session: this.#ephemeralSession, seq: this.#ephemeralSeq, sentAt: Date.now(), state };
+        if (this.#topology === "mesh") {
+            // Straight to every peer, preferably over the unreliable connections
+            for (const connection of this.#mesh.connections) {
+                const target = this.#ephemeralConnections.get(connection.peer)?.open ? this.#ephemeralConnections.get(connection.peer) : connection;
+                try {
+                    if (target.open) target.send(message);
+                } catch (error) {
+                    this.#triggerEvent("error", "Error sending ephemeral state: " + error);
+                }
+            }
+            return;
+        }
+        if (this.#isHost) return this.#relayEphemeralState(message);
+
+        const connection = this.#ephemeralConnection?.open ? this.#ephemeralConnection : this.#outgoingConnection;
+        try {
+            connection.send(message);
+        } catch (error) {
+            this.#triggerEvent("error", "Error sending ephemeral state: " + error);
+        }
+    }
+
+    /**
+     * Get the latest ephemeral state of a peer – interpolated between the buffered snapshots if interpolation is enabled
+     * @public
+     * @param {string} peerId
+     * @returns {*} State, or undefined if none was received
+     */
+    getEphemeralState(peerId) {
+        const entry = this.#ephemeralStates.get(peerId);
+        if (!entry) return undefined;
+        if (!this.#interpolation) return structuredClone(entry.state);
+        return sampleSnapshots(entry.snapshots, Date.now() - entry.clockOffset - this.#interpolation.delay);
+    }
+
+    /**
+     * Join existing room (Client code)
+     * @param {string} hostId - Id of the host to connect to
+     * @param {object} [options]
+     * @param {string} [options.password] - Room password
+     * @param {*} [options.metadata] - Sent to the host's join request handler
+     * @param {boolean} [options.spectator] - Join read-only, outside the player limit (never becomes host)
+     * @returns {Promise} Resolves once the storage is synced, rejects with a JoinRejectedError if the host rejected the peer
+     */
+    async joinRoom(hostId, options = {}) {
+        return new Promise((resolve, reject) => {
+            if (!this.#peer || this.#peer?.destroyed || !this.#initialized) {
+                this.#triggerEvent("error", "Cannot join room if peer is not initialized. Note that .init() is async.");
+                console.error(ERROR_PREFIX + "Cannot join room if peer is not initialized. Note that .init() is async.");
+                reject(new Error("Peer not initialized."));
+            }
+            this.#discardReplayedStorage(); // The room's storage replaces the replayed one
+            try {
+                try { this.#ephemeralConnection?.close(); } catch { }
+                const connection = this.#peer.connect(hostId, { reliable: true, metadata: options.spectator ? { spectator: true } : undefined }); // Connect to host
+                this.#outgoingConnection = connection;
+                this.#joinOptions = { password: options.password, spectator: Boolean(options.spectator) };
+                this.#isSpectator = Boolean(options.spectator);
+                if (options.metadata !== undefined) this.#metadata = structuredClone(options.metadata);
+                this.#triggerEvent("status", "Connecting to host...");
+
+                // In case peer experiences error joining room, reject promise
+                this.#peer.once('error', error => {
+                    reject(new Error("Error occurred trying to join room: " + error, { cause: error }));
+                });
+
+                // Connection timeout (the room is joined once the host sent the storage state)
+                let synced = false;
+                let timeout;
+                const onTimeout = () => {
+                    if (synced) return;
+                    if (this.#outgoingConnection === connection) {
+                        this.#outgoingConnection = null; // Unset first, so that closing doesn't trigger a reconnect
+                        connection.close();
+                    }
+                    this.#triggerEvent("status", "Connection attempt for joining room timed out.");
+                    reject(new Error("Connection attempt for joining room timed out."));
+                };
+                timeout = setTimeout(onTimeout, this.#connectionPolicy.connectionTimeout);
+
+                let failedHeartbeatAttempts = 0;
+
+                connection.on("open", () => {
+                    this.#triggerEvent("outgoingPeerConnected", hostId);
+                    this.#triggerEvent("status", "Connection to host established.");
+
+                    // Request to join, including the storage sync (the host only sends what's missing if this peer was in the room before)
+                    connection.send({
+                        type: 'join_request',
+                        password: options.password,
+                        metadata: this.#metadata,
+                        joinedAt: this.#peerPresence.get(this.#id)?.joinedAt,
+                        roomId: this.#roomId,
+                        vectorClock: this.#crdtManager.getVectorClock
+                    });
+
+                    // The host might take a while to approve the request
+                    clearTimeout(timeout);
+                    timeout = setTimeout(onTimeout, this.#connectionPolicy.joinRequestTimeout);
+
+                    // Regularly check if host responds to heartbeat
+                    this.#heartbeatReceived = true;
+                    this.#heartbeatSamples = [];
+                    this.#peerQuality.delete(this.#id);
+                    let heartbeatSeq = 0;
+                    clearInterval(this.#heartbeatSendInterval); // Prevent multiple ones stacking up
+                    this.#heartbeatSendInterval = setInterval(() => {
+                        if (this.#isHost) return clearInterval(this.#heartbeatSendInterval);
+                        if (!this.#heartbeatReceived) {
+                            failedHeartbeatAttempts++;
+                            if (failedHeartbeatAttempts >= this.#connectionPolicy.maxMissedHeartbeats) {
+                                console.warn(WARNING_PREFIX + `Host did not respond to ${failedHeartbeatAttempts} heartbeats - disconnecting from host.`);
+                                this.#triggerEvent("status", `Host did not respond to ${failedHeartbeatAttempts} heartbeats - disconnecting from host.`);
+                                this.#outgoingConnection?.close();
+                                return;
+                            }
+                        }
+
+                        // Ping host
+                        this.#heartbeatReceived = false; // Reset received status to false
+                        if (this.#outgoingConnection?.open) {
+                            heartbeatSeq++;
+                            this.#heartbeatSamples.push({ seq: heartbeatSeq, sentAt: Date.now() });
+                            if (this.#heartbeatSamples.length > 20) this.#heartbeatSamples.shift(); // Only the recent ones count
+                            this.#outgoingConnection?.send({
+                                type: 'heartbeat_request',
+                                seq: heartbeatSeq,
+                                quality: this.#peerQuality.get(this.#id) // Share own measurements with the host
+                            });
+                        }
+                    }, this.#connectionPolicy.heartbeatInterval);
+
+                    // Only reconnect / migrate host if the connection was initially open
+                    connection.on('close', () => {
+                        if (connection !== this.#outgoingConnection) return; // Connection was already replaced
+                        clearInterval(this.#heartbeatSendInterval);
+                        if (!this.#isHost) this.#reconnectToHost(hostId);
+                    });
+                });
+
+                connection.on('data', (data) => {
+                    if (!data || !data?.type) return;
+                    if (this.#mesh.getConnection(hostId) === connection) return this.#mesh.handleMessage(connection, data); // Joined a mesh room
+
+                    // Ignore messages of hosts from an older election (epochs only count within the same room, rejections only end this join attempt)
+                    if (typeof data.epoch === "number" && data.type !== 'join_rejected') {
+                        const otherRoom = (data.type === 'state_init' || data.type === 'state_delta') && data.roomId !== this.#roomId;
+                        if (data.epoch < this.#hostEpoch && !otherRoom) return;
+                        this.#hostEpoch = data.epoch;
+                    }
+
+                    switch (data.type) {
+                        case 'state_init':
+                        case 'state_delta':
+                            this.#roomPassword = data.passwordProtected ? options.password : undefined;
+                            this.#handleStateSync(data);
+                            if (data.topology === "mesh") this.#enterMesh(connection, data);
+                            else if (!synced) this.#openEphemeralChannel(hostId);
+                            synced = true;
+                            clearTimeout(timeout);
+                            resolve();
+                            break;
+
+                        case 'join_rejected':
+                            clearTimeout(timeout);
+                            if (this.#outgoingConnection === connection) this.#outgoingConnection = null; // Unset first, so that closing doesn't trigger a reconnect
+                            clearInterval(this.#heartbeatSendInterval);
+                            connection.close();
+                            this.#triggerEvent("status", "Join request rejected: " + data.reason);
+                            reject(new JoinRejectedError(data.reason, data.code));
+                            break;
+
+                        case 'host_redirect':
+                            if (data.hostId) this.#followHostRedirect(data.hostId);
+                            break;
+
+                        case 'room_config':
+                            if (data.roomConfig) this.#applyRoomConfig(data.roomConfig);
+                            break;
+
+                        case 'storage_permissions':
+                            this.#storagePermissions.import(data.permissions);
+                            break;
+
+                        case 'ban_list':
+                            if (Array.isArray(data.bannedPeers)) this.#bannedPeers = new Set(data.bannedPeers);
+                            break;
+
+                        case 'kicked':
+                            // Removed by the host - leave without reconnecting or migrating
+                            if (this.#outgoingConnection === connection) this.#outgoingConnection = null;
+                            clearInterval(this.#heartbeatSendInterval);
+                            this.#hostConnectionsIdArray = [];
+                            this.#clearPeerPresence();
+                            this.#hostEpoch = 0;
+                            connection.close();
+                            this.#triggerEvent("status", "Removed from the room by the host.");
+                            this.#triggerEvent("kicked", data.reason, !!data.banned);
+                            break;
+
+                        case 'property_update':
+                            if (data.update) {
+                                this.#crdtManager.importPropertyUpdate(data.update);
+                                this.#emitStorageChanges();
+                            }
+                            break;
+
+                        case 'property_batch':
+                            if (Array.isArray(data.updates)) {
+                                data.updates.forEach(update => this.#crdtManager.importPropertyUpdate(update));
+                                this.#emitStorageChanges();
+                            }
+                            break;
+
+                        case 'property_batch_rejected':
+                            this.#revertRejectedUpdates(data.rejected);
+                            break;
+
+                        case 'peer_list':
+                            this.#hostConnectionsIdArray = data.peers;
+                            if (Array.isArray(data.presence)) this.#updatePeerPresence(data.presence, data.reconnecting);
+                            break;
+                        case 'ephemeral_state':
+                            this.#handleEphemeralState(data);
+                            break;
+                        case 'user_message':
+                            if (typeof data.messageType === "string") this.#triggerEvent("message", data.messageType, data.payload, data.sender);
+                            break;
+                        case 'heartbeat_response':
+                            this.#heartbeatReceived = true;
+                            failedHeartbeatAttempts = 0;
+                            this.#recordHeartbeatResponse(data.seq);
+                            break;
+                        case 'peer_quality':
+                            Object.entries(data.quality || {}).forEach(([peerId, quality]) => {
+                                if (peerId !== this.#id) this.#updatePeerQuality(peerId, quality); // Own measurements are more recent
+                            });
+                            break;
+                    }
+                });
+
+                connection.on('close', () => {
+                    this.#triggerEvent("outgoingPeerDisconnected", hostId);
+                    this.#triggerEvent("status", "Connection to host closed.");
+                });
+
+                connection.on('error', (error) => {
+                    clearTimeout(timeout);
+                    this.#triggerEvent("outgoingPeerError", hostId);
+                    this.#triggerEvent("error", "Error in host connection: " + error);
+                });
+            } catch (error) {
+                this.#triggerEvent("error", "Error in connection to host: " + error);
+            }
+        });
+    }
+
+    /**
+     * Update storage with new value
+     * @public
+     * @param {string | Array<string|number>} key - Storage key or path to update (e.g. "settings.map", "players[2].ready" or ["player.1", "ready"])
+     * @param {*} value - New value
+     */
+    updateStorage(key, value) {
+        this.#updateStorageProperty(key, "set", value);
+    }
+
+    /**
+     * Safely update an array from a storage key
+     * @param {string | Array<string|number>} key - Storage key or path of the array
+     * @param {string} operation 
+     * @param {*} value 
+     * @param {* | undefined} updateValue 
+     */
+    updateStorageArray(key, operation, value, updateValue) {
+        this.#updateStorageProperty(key, "array-" + operation, value, updateValue);
+    }
+
+    /**
+     * Safely update fields of an object from a storage key, without overwriting concurrent changes to other fields
+     * @public
+     * @param {string | Array<string|number>} key - Storage key or path of the object
+     * @param {string} operation - "merge" (value = object with fields to set) or "delete-field" (value = field name)
+     * @param {*} value
+     */
+    updateStorageObject(key, operation, value) {
+        this.#updateStorageProperty(key, "object-" + operation, value);
+    }
+
+    /**
+     * Remove a key (or a nested value) from the storage on every peer
+     * @public
+     * @param {string | Array<string|number>} key - Storage key or path to remove (e.g. "settings.map")
+     */
+    removeStorage(key) {
+        this.#updateStorageProperty(key, "delete");
+    }
+
+    /**
+     * Increment (or decrement) a numeric value without losing concurrent increments from other peers
+     * @public
+     * @param {string | Array<string|number>} key - Storage key or path of the counter
+     * @param {number} [delta] - Amount to add (negative to subtract), defaults to 1
+     * @param {object} [options]
+     * @param {number} [options.min] - Lower bound the counter is clamped to
+     * @param {number} [options.max] - Upper bound the counter is clamped to
+     */
+    incrementStorage(key, delta = 1, options = {}) {
+        if (typeof delta !== "number" || !Number.isFinite(delta)) return console.warn(WARNING_PREFIX + "Invalid delta provided to incrementStorage.");
+        const { min, max } = options;
+        const clamp = {};
+        if (typeof min === "number") clamp.min = min;
+        if (typeof max === "number") clamp.max = max;
+        this.#updateStorageProperty(key, "counter-increment", delta, Object.keys(clamp).length ? clamp : undefined);
+    }
+
+    /**
+     * Apply a storage operation optimistically and send it to the host (or broadcast it if hosting)
+     * @private
+     * @param {string | Array<string|number>} keyPath - Storage key or path
+     * @param {string} type - Operation type
+     * @param {*} value
+     * @param {*} [updateValue]
+     */
+    #updateStorageProperty(keyPath, type, value, updateValue) {
+        const { key, path } = parseStoragePath(keyPath);
+        const inTransaction = Boolean(this.#transactionUpdates);
+        if (!key || !this.#checkLocalPermission(key, type, value, updateValue)) {
+            if (inTransaction) this.#transactionFailed = true; // All or nothing
+            if (!key) console.warn(WARNING_PREFIX + `Invalid storage key "${keyPath}".`);
+            return;
+        }
+
+        const before = this.#historyDepth ? getValueAtPath(this.#crdtManager.getProperty(key), path) : undefined;
+        const propUpdate = this.#crdtManager.updateProperty(key, type, value, updateValue, path); // Optimistic update
+        if (!propUpdate) {
+            if (inTransaction) this.#transactionFailed = true;
+            return;
+        }
+        if (this.#historyDepth) {
+            const { data, uuid } = propUpdate.operation;
+            const after = getValueAtPath(this.#crdtManager.getProperty(key), path);
+            this.#recordChange({ key, path, type, value: data.value, updateValue: data.updateValue, before, after, uuid });
+        }
+        if (inTransaction) {
+            this.#transactionUpdates.push(propUpdate); // Sent when the transaction ends
+            return;
+        }
+
+        this.#sendStorageUpdates([propUpdate]);
+        this.#emitStorageChanges();
+        this.#schedulePersist();
+    }
+
+    /**
+     * Apply several storage updates as one atomic batch: they are sent as one message, applied all-or-nothing
+     * by the host and the other peers, and trigger a single storageUpdated event
+     * @public
+     * @param {function} callback - Synchronous function that makes the updates (updateStorage etc.)
+     * @returns {boolean} - If the transaction was applied locally (false if an update was invalid or not permitted)
+     */
+    transaction(callback) {
+        if (typeof callback !== "function") {
+            console.warn(WARNING_PREFIX + "Invalid callback provided to transaction.");
+            return false;
+        }
+        if (this.#transactionUpdates) { // Nested transactions are part of the outer one
+            callback();
+            return true;
+        }
+
+        this.#transactionUpdates = [];
+        this.#transactionFailed = false;
+        this.#historyStep = [];
+        let updates;
+        let historyStep;
+        try {
+            const result = callback();
+            if (typeof result?.then === "function") console.warn(WARNING_PREFIX + "Transaction callbacks must be synchronous - updates after an await are not part of the transaction.");
+        } catch (error) {
+            this.#transactionFailed = true;
+            throw error;
+        } finally {
+            updates = this.#transactionUpdates;
+            historyStep = this.#historyStep;
+            this.#transactionUpdates = null;
+            this.#historyStep = null;
+            if (this.#transactionFailed) {
+                // Roll back the optimistic updates (the storage looks as if the transaction never happened)
+                [...updates].reverse().forEach(update => this.#crdtManager.revertOperation(update.key, update.operation.uuid));
+            }
+        }
+
+        if (this.#transactionFailed) {
+            this.#emitStorageChanges();
+            return false;
+        }
+        this.#sendStorageUpdates(updates, true);
+        this.#pushHistoryStep(historyStep);
+        this.#emitStorageChanges();
+        this.#schedulePersist();
+        return true;
+    }
+
+    /**
+     * Undo the most recent own storage change (or transaction) by applying compensating operations.
+     * Parts of it that other peers changed since are left as they are
+     * @public
+     * @returns {boolean} - If something was undone
+     */
+    undo() {
+        return this.#applyHistory(this.#undoStack, "undo");
+    }
+
+    /**
+     * Redo the most recently undone storage change
+     * @public
+     * @returns {boolean} - If something was redone
+     */
+    redo() {
+        return this.#applyHistory(this.#redoStack, "redo");
+    }
+
+    /**
+     * Forget all undo and redo steps
+     * @public
+     */
+    clearHistory() {
+        this.#undoStack = [];
+        this.#redoStack = [];
+    }
+
+    /**
+     * Record an own storage change, as part of the running transaction or as a step of its own
+     * @private
+     * @param {object} change - { key, path, type, value, updateValue, before, after, uuid }
+     */
+    #recordChange(change) {
+        if (this.#historyStep) return this.#historyStep.push(change);
+        this.#pushHistoryStep([change]);
+    }
+
+    /**
+     * Push a recorded step onto the undo stack (or the redo stack while undoing). New changes clear the redo stack
+     * @private
+     * @param {Array} step - Changes
+     */
+    #pushHistoryStep(step) {
+        if (!this.#historyDepth || !step?.length) return;
+        const stack = this.#historyMode === "undo" ? this.#redoStack : this.#undoStack;
+        stack.push(step);
+        if (stack.length > this.#historyDepth) stack.shift();
+        if (this.#historyMode === "change") this.#redoStack = [];
+    }
+
+    /**
+     * Apply the compensating operations of the newest step of a stack as one transaction
+     * (they're recorded as a step themselves, which makes undo and redo each other's inverse)
+     * @private
+     * @param {Array} stack - Undo or redo stack
+     * @param {string} mode - "undo" or "redo"
+     * @returns {boolean} - If something was applied
+     */
+    #applyHistory(stack, mode) {
+        if (this.#transactionUpdates) {
+            console.warn(WARNING_PREFIX + `Can't ${mode} inside a transaction.`);
+            return false;
+        }
+        while (stack.length) {
+            const step = stack.pop();
+            let operationCount = 0;
+            this.#historyMode = mode;
+            try {
+                const applied = this.transaction(() => {
+                    // Inverse operations are computed one by one against the current value, so that later changes are undone first
+                    [...step].reverse().forEach((change) => {
+                        this.#invertChange(change).forEach(([keyPath, type, value, updateValue]) => {
+                            operationCount++;
+                            this.#updateStorageProperty(keyPath, type, value, updateValue);
+                        });
+                    });
+                });
+                if (!applied) {
+                    console.warn(WARNING_PREFIX + `Failed to ${mode} storage change - not permitted anymore.`);
+                    return false;
+                }
+            } finally {
+                this.#historyMode = "change";
+            }
+            if (operationCount) return true;
+            // Everything in this step was overwritten by other peers since, continue with the next one
+        }
+        return false;
+    }
+
+    /**
+     * Get the operations that compensate an own change. Set values are only restored if nobody changed them since,
+     * array and counter changes are compensated relative to the current value, keeping concurrent changes of other peers
+     * @private
+     * @param {object} change - { key, path, type, value, updateValue, before, after }
+     * @returns {Array} - Array of [keyPath, type, value, updateValue]
+     */
+    #invertChange({ key, path, type, value, updateValue, before, after }) {
+        const current = getValueAtPath(this.#crdtManager.getProperty(key), path);
+        const keyPath = formatStoragePath(key, path);
+        const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        const count = (array, item) => Array.isArray(array) ? array.filter(entry => isEqual(entry, item)).length : 0;
+        const hasField = (object, field) => object !== null && typeof object === "object" && Object.hasOwn(object, field);
+
+        switch (type) {
+            case "set":
+                if (!isEqual(current, after)) return []; // Overwritten since
+                return before === undefined ? [[keyPath, "delete"]] : [[keyPath, "set", before]];
+            case "delete":
+                return (current === undefined && before !== undefined) ? [[keyPath, "set", before]] : [];
+            case "counter-increment": {
+                const delta = (typeof after === "number" ? after : 0) - (typeof before === "number" ? before : 0); // Actual change after clamping
+                return delta ? [[keyPath, "counter-increment", -delta]] : [];
+            }
+            case "array-add":
+            case "array-add-unique":
+                return count(after, value) > count(before, value) ? [[keyPath, "array-remove-one", value]] : [];
+            case "array-remove-one":
+            case "array-remove-matching":
+                return Array.from({ length: Math.max(0, count(before, value) - count(after, value)) }, () => [keyPath, "array-add", value]);
+            case "array-update-matching":
+                return count(before, value) > count(after, value) ? [[keyPath, "array-update-matching", updateValue, value]] : [];
+            case "object-merge": {
+                const operations = [];
+                const restore = {};
+                Object.keys(value || {}).forEach((field) => {
+                    if (!isEqual(current?.[field], after?.[field])) return; // Field was overwritten since
+                    if (hasField(before, field)) restore[field] = before[field];
+                    else operations.push([keyPath, "object-delete-field", field]);
+                });
+                if (Object.keys(restore).length) operations.push([keyPath, "object-merge", restore]);
+                return operations;
+            }
+            case "object-delete-field":
+                if (!hasField(before, value) || hasField(current, value)) return [];
+                return [[keyPath, "object-merge", { [value]: before[value] }]];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Remove changes from the undo and redo stacks, e.g. after the host rejected them
+     * @private
+     * @param {Array<string>} uuids - Operation uuids of the changes
+     */
+    #forgetHistoryChanges(uuids) {
+        const forgotten = new Set(uuids);
+        const filter = stack => stack.map(step => step.filter(change => !forgotten.has(change.uuid))).filter(step => step.length);
+        this.#undoStack = filter(this.#undoStack);
+        this.#redoStack = filter(this.#redoStack);
+    }
+
+    /**
+     * Start recording the session: the current storage, every storage operation and the peerJoined, peerLeft,
+     * peerReconnected, peerUpdated and hostMigrated events, with timestamps
+     * @public
+     */
+    startRecording() {
+        if (this.#recorder) return console.warn(WARNING_PREFIX + "Already recording.");
+        this.#recorder = new SessionRecorder(this.#crdtManager.getState, {
+            roomId: this.#roomId,
+            peerId: this.#id,
+            peers: [...this.#peerPresence.values()]
+        });
+        this.#crdtManager.setOperationListener((type, data) => this.#recorder?.record(type, data));
+    }
+
+    /**
+     * Stop recording the session
+     * @public
+     * @returns {object | undefined} - Recording (plain object that can be serialized with JSON.stringify), undefined if not recording
+     */
+    stopRecording() {
+        if (!this.#recorder) {
+            console.warn(WARNING_PREFIX + "Not recording.");
+            return;
+        }
+        const recording = this.#recorder.export();
+        this.#recorder = undefined;
+        this.#crdtManager.setOperationListener(undefined);
+        return recording;
+    }
+
+    /**
+     * Replay a recording without any network: the storage goes through the recorded changes with the recorded
+     * timing and the same storageUpdated (and peer) events are triggered. Storage can't be written during a replay.
+     * Creating or joining a room afterwards starts from the room's storage, the replayed one is discarded
+     * @public
+     * @async
+     * @param {object} recording - Recording (see stopRecording)
+     * @param {object} [options]
+     * @param {number} [options.speed] - Playback speed (1 = real time, 2 = twice as fast, Infinity = no delays), defaults to 1
+     * @returns {Promise<boolean>} Resolves with true once the replay finished, or false if it was stopped
+     */
+    async replay(recording, options = {}) {
+        if (this.#isHost || this.#outgoingConnection || this.#mesh.size) throw new Error("Can't replay a recording while in a room.");
+        if (this.#replayController) throw new Error("A replay is already running.");
+
+        const controller = new AbortController();
+        this.#replayController = controller;
+        this.#holdsReplayedStorage = true;
+        this.clearHistory();
+        try {
+            return await replaySession(recording, this.#crdtManager, {
+                speed: options.speed,
+                signal: controller.signal,
+                onEntry: entry => this.#handleReplayEntry(entry, recording)
+            });
+        } finally {
+            if (this.#replayController === controller) this.#replayController = undefined;
+        }
+    }
+
+    /**
+     * Stop the running replay (the storage keeps the state it had reached)
+     * @public
+     */
+    stopReplay() {
+        this.#replayController?.abort();
+        this.#replayController = undefined;
+    }
+
+    /**
+     * Stop the running replay and empty the storage if a replay filled it, so that it isn't merged into a room
+     * @private
+     */
+    #discardReplayedStorage() {
+        this.stopReplay();
+        if (!this.#holdsReplayedStorage) return;
+        this.#holdsReplayedStorage = false;
+        this.#crdtManager.importState({ keyOperations: [], vectorClock: [] });
+        this.clearHistory();
+    }
+
+    /**
+     * Trigger the events of a replayed entry (the operations were already applied to the storage)
+     * @private
+     * @param {object} entry - { time, type, ... }
+     * @param {object} recording
+     */
+    #handleReplayEntry(entry, recording) {
+        if (entry.type === "start") {
+            this.#updatePeerPresence(Array.isArray(recording.peers) ? recording.peers : []);
+            return this.#emitStorageChanges(true);
+        }
+        if (entry.type !== "event" || !RECORDED_EVENTS.includes(entry.event)) return;
+
+        const args = Array.isArray(entry.args) ? entry.args : [];
+        if (entry.event === "storageUpdated") return this.#emitStorageChanges(true);
+        if (entry.event === "peerLeft") this.#peerPresence.delete(args[0]);
+        if (["peerJoined", "peerReconnected", "peerUpdated"].includes(entry.event) && typeof args[0]?.id === "string") this.#peerPresence.set(args[0].id, args[0]);
+        this.#triggerEvent(entry.event, ...args);
+    }
+
+    /**
+     * Send a custom message to a specific peer (relayed through the host if this peer is a client)
+     * @public
+     * @param {string} peerId - Id of the receiving peer
+     * @param {string} type - Custom message type (e.g. "chat")
+     * @param {*} [payload] - Message data
+     */
+    sendMessage(peerId, type, payload) {
+        if (typeof type !== "string" || !type) return console.warn(WARNING_PREFIX + "Invalid message type provided to sendMessage.");
+        if (!peerId || peerId === this.#id) return console.warn(WARNING_PREFIX + "Invalid peer id provided to sendMessage.");
+        this.#sendUserMessage({ type: 'user_message', messageType: type, payload, sender: this.#id, target: peerId });
+    }
+
+    /**
+     * Send a custom message to all other peers in the room (relayed through the host if this peer is a client)
+     * @public
+     * @param {string} type - Custom message type (e.g. "playerFired")
+     * @param {*} [payload] - Message data
+     */
+    broadcast(type, payload) {
+        if (typeof type !== "string" || !type) return console.warn(WARNING_PREFIX + "Invalid message type provided to broadcast.");
+        this.#sendUserMessage({ type: 'user_message', messageType: type, payload, sender: this.#id });
+    }
+
+    /**
+     * Send a custom message envelope – routed directly if hosting, otherwise sent to the host for relaying
+     * @private
+     * @param {object} message - User message envelope
+     */
+    #sendUserMessage(message) {
+        if (this.#topology === "mesh") {
+            if (!message.target) return this.#broadcastMessage("user_message", message);
+            const connection = this.#mesh.getConnection(message.target);
+            if (!connection?.open) return console.warn(WARNING_PREFIX + `Could not deliver message - peer ${message.target} is not connected.`);
+            try {
+                connection.send(message);
+            } catch (error) {
+                this.#triggerEvent("error", `Failed to send message to peer ${message.target}: ${error}`);
+            }
+            return;
+        }
+        if (this.#isHost) return this.#routeUserMessage(message);
+        try {
+            if (this.#outgoingConnection?.open) this.#outgoingConnection.send(message);
+        } catch (error) {
+            this.#triggerEvent("error", "Error sending message to host: " + error);
+        }
+    }
+
+    /**
+     * Deliver a custom message to its target(s). Used by host only
+     * @private
+     * @param {object} message - User message envelope
+     */
+    #routeUserMessage(message) {
+        const { messageType, payload, sender, target } = message;
+        if (typeof messageType !== "string") return;
+        const envelope = { messageType, payload, sender, target };
+
+        // Broadcast to everyone but the sender
+        if (!target) {
+            if (sender !== this.#id) this.#triggerEvent("message", messageType, payload, sender);
+            return this.#broadcastMessage("user_message", envelope, sender);
+        }
+
+        // Message addressed to the host itself
+        if (target === this.#id) return this.#triggerEvent("message", messageType, payload, sender);
+
+        // Relay to the target peer
+        const connection = this.#hostConnections.find(c => c[0]?.peer === target)?.[0];
+        if (!connection?.open) return console.warn(WARNING_PREFIX + `Could not deliver message - peer ${target} is not connected.`);
+        try {
+            this.#sendFromHost(connection, { type: 'user_message', ...envelope });
+        } catch (error) {
+            this.#triggerEvent("error", `Failed to relay message to peer ${target}: ${error}`);
+        }
+    }
+
+    /**
+     * Broadcast a message of a specific type to all peers. Used by host only (and by every peer in mesh mode)
+     * @private
+     * @param {string} type - Message type (e.g."peer_list")
+     * @param {object} [payload] - Additional data to send
+     * @param {string} [excludePeerId] - Id of a peer that should not receive the message
+     */
+    #broadcastMessage(type, payload = {}, excludePeerId) {
+        const message = { type, ...payload, epoch: this.#hostEpoch };
+        const connections = this.#topology === "mesh" ? this.#mesh.connections : this.#hostConnections.map(element => element[0]);
+        connections.forEach((connection) => {
+            if (excludePeerId && connection?.peer === excludePeerId) return;
+            if (connection?.open) {
+                try {
+                    connection.send(message);
+                } catch (error) {
+                    this.#triggerEvent("error", `Failed to send broadcast message to peer ${connection?.peer}: ${error}`);
+                }
+            }
+        });
+    }
+
+    /**
+     * Try to reopen the connection to the same host (with backoff) before concluding that it's gone and migrating
+     * @async
+     * @private
+     * @param {string} hostId - Id of the host that the connection was lost to
+     */
+    async #reconnectToHost(hostId) {
+        const { window, delay, maxDelay } = this.#connectionPolicy.reconnect;
+        const startTime = Date.now();
+        let attempt = 0;
+
+        this.#triggerEvent("status", "Connection to host lost - attempting to reconnect...");
+        this.#triggerEvent("reconnecting", hostId);
+
+        while (Date.now() - startTime < window) {
+            await new Promise(resolve => setTimeout(resolve, Math.min(delay * 2 ** attempt, maxDelay)));
+            attempt++;
+            if (this.#isHost || !this.#peer || this.#peer.destroyed) return;
+
+            try {
+                await this.joinRoom(hostId, this.#joinOptions);
+                this.#triggerEvent("status", "Reconnected to host.");
+                this.#triggerEvent("reconnected", hostId);
+                return;
+            } catch (error) {
+                console.warn(WARNING_PREFIX + `Reconnection attempt ${attempt} failed:`, error);
+                if (error?.cause?.type === "peer-unavailable") break; // Host is not registered anymore - no point in retrying
+                if (error instanceof JoinRejectedError) return; // Host is still there, but doesn't let this peer back in
+            }
+        }
+
+        if (this.#isHost || !this.#peer || this.#peer.destroyed) return;
+        this.#migrateHost();
+    }
+
+    /**
+     * Handle host migration when current host disconnects
+     * @async
      * @private
      */
     async #migrateHost() {
@@ -499,7 +2893,7 @@ export default class PlayPeer {
             return;
         }
         this.#triggerEvent("status", "Starting host migration...");
-        const connectedPeerIds = this.#hostConnectionsIdArray;
+        const connectedPeerIds = this.#hostConnectionsIdArray.filter(peerId => !this.#peerPresence.get(peerId)?.spectator); // Spectators never become host
         connectedPeerIds.sort();
 
         const migrateToHostIndex = async (index) => {
@@ -507,15 +2901,26 @@ export default class PlayPeer {
 
             if (connectedPeerIds[index] === this.#id) {
                 this.#isHost = true;
+                this.#hostEpoch++;
                 this.#outgoingConnection = null;
-                this.#triggerEvent("status", `This peer (index ${index}) is now the host.`);
-                this.#triggerEvent("hostMigrated", this.#id);
+                this.#peerQuality.delete(this.#id); // Only clients measure their connection
+                try { this.#ephemeralConnection?.close(); } catch { }
+                this.#triggerEvent("status", `This peer (index ${index}) is now the host (epoch ${this.#hostEpoch}).`);
+                this.#triggerEvent("hostMigrated", this.#id, this.#hostEpoch);
+                // Keep the former members' slots (and presence) while they follow, like for a reconnect
+                const reservedUntil = Date.now() + this.#connectionPolicy.reconnect.window;
+                connectedPeerIds.forEach(peerId => peerId !== this.#id && this.#reservedSlots.set(peerId, reservedUntil));
+                this.#broadcastPeerList(); // Clients are added back as they join
+                this.#schedulePersist();
+
+                // Peers that didn't join after a while might have elected a different host
+                setTimeout(() => this.#announceHost(connectedPeerIds), this.#connectionPolicy.hostAnnounceDelay);
             } else {
-                this.#triggerEvent("status", `Attempting to connect to new host (index ${index}) in 1s...`);
+                this.#triggerEvent("status", `Attempting to connect to new host (index ${index}) in ${this.#connectionPolicy.migrationDelay}ms...`);
                 try {
-                    await new Promise(resolve => setTimeout(resolve, 1250)); // Wait to give new host time to detect disconnection & open room
-                    await this.joinRoom(connectedPeerIds[index]);
-                    this.#triggerEvent("hostMigrated", connectedPeerIds[index]);
+                    await new Promise(resolve => setTimeout(resolve, this.#connectionPolicy.migrationDelay)); // Wait to give new host time to detect disconnection & open room
+                    await this.joinRoom(connectedPeerIds[index], this.#joinOptions);
+                    this.#triggerEvent("hostMigrated", connectedPeerIds[index], this.#hostEpoch);
                 } catch (error) {
                     console.warn(WARNING_PREFIX + `Error connecting to room (index ${index}) while migrating host:`, error);
                     await migrateToHostIndex(index + 1);
@@ -530,6 +2935,12 @@ export default class PlayPeer {
      * Clean up and destroy peer
      */
     destroy() {
+        if (this.#persistTimeout) this.#persistNow(); // Flush pending save
+        if (this.#discovery && this.#advertisedRoom !== undefined) {
+            this.#isHost = false;
+            this.#updateDiscovery(); // Remove the room from the registry
+        }
+
         if (this.#peer) {
             try {
                 if (!this.#peer?.destroyed) this.#peer.destroy();
@@ -545,21 +2956,45 @@ export default class PlayPeer {
         // Clear intervals
         clearInterval(this.#heartbeatSendInterval);
         clearInterval(this.#heartbeatHostCheckInterval);
+        this.#mesh.leave();
+        this.stopReplay();
+        if (this.#recorder) this.stopRecording();
 
         // Resets
         this.#peer = undefined;
         this.#isHost = false;
         this.#hostConnections = [];
         this.#hostConnectionsIdArray = [];
+        this.#reservedSlots.clear();
+        this.#pendingJoins.clear();
+        this.#expectedStateMerges.clear();
+        this.#bannedPeers.clear();
+        this.#roomPassword = undefined;
+        this.#roomId = undefined;
+        this.#hostEpoch = 0;
+        this.#joinOptions = {};
+        this.#metadata = undefined;
+        this.#isSpectator = false;
+        this.#clearPeerPresence();
+        this.#peerQuality.clear();
+        this.#outgoingUpdates = [];
+        this.#ephemeralStates.clear();
+        this.#ephemeralConnections.clear();
+        this.#ephemeralConnection = undefined;
+        this.#topology = "star";
+        this.#heartbeatSamples = [];
         this.#initialized = false;
-        this.#maxSize = undefined;
+        this.#roomConfig = {};
         this.#callbacks.clear();
+        this.#storageSubscriptions = [];
+        this.clearHistory();
     }
 
     /**
      *  @returns {number} Number of active connections to the host
      */
     get connectionCount() {
+        if (this.#topology === "mesh") return this.#mesh.size;
         if (this.#isHost) return this.#hostConnections?.length || 0;
         return this.#hostConnectionsIdArray?.length || 0;
     }
@@ -569,10 +3004,55 @@ export default class PlayPeer {
      */
     get getStorage() { return this.#crdtManager.getPropertyStore; }
 
+    /**
+     *  @returns {object} Room configuration (maxSize, name, gameMode, locked, metadata)
+     */
+    get roomConfig() { return structuredClone(this.#roomConfig); }
+
+    /**
+     *  @returns {Array} Storage permission rules as [keyPattern, permission] pairs
+     */
+    get storagePermissions() { return this.#storagePermissions.rules; }
+
+    /**
+     *  @returns {Array} Ids of peers that are banned from the room
+     */
+    get bannedPeers() { return [...this.#bannedPeers]; }
+
+    /**
+     *  @returns {object | undefined} Quality of the connection to the host as { rtt, jitter, loss, level } (Client only)
+     */
+    get connectionQuality() {
+        const quality = this.#peerQuality.get(this.#id);
+        return quality ? { ...quality } : undefined;
+    }
+
+    /**
+     *  @returns {boolean} If there is an own storage change to undo
+     */
+    get canUndo() { return this.#undoStack.length > 0; }
+
+    /**
+     *  @returns {boolean} If there is an undone storage change to redo
+     */
+    get canRedo() { return this.#redoStack.length > 0; }
+
+    /**
+     *  @returns {boolean} If the session is being recorded
+     */
+    get isRecording() { return Boolean(this.#recorder); }
+
+    /**
+     *  @returns {boolean} If a recording is being replayed
+     */
+    get isReplaying() { return Boolean(this.#replayController); }
+
     /**
     *  @returns {boolean} Check if this peer is hosting
     */
     get isHost() { return this.#isHost; }
 
     get id() { return this.#id; }
-}
\ No newline at end of file
+}
+
+export { PeerJSTransport, MemoryTransport, MemoryPersistence, LocalStoragePersistence, IndexedDBPersistence, MemoryRegistry, PeerServerRegistry, JoinRejectedError, CRDTManager, replaySession };
\ No newline at end of file
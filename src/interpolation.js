@@ -0,0 +1,50 @@
+// Snapshot interpolation for ephemeral state (e.g. player positions)
+
+/**
+ * Interpolate between two states. Numbers are interpolated linearly, objects and arrays field by field,
+ * everything else (and fields that only exist in one of the states) is taken from the older state
+ * @param {*} from - Older state
+ * @param {*} to - Newer state
+ * @param {number} t - Position between the states (0 = from, 1 = to)
+ * @returns {*} Interpolated state
+ */
+export function interpolateState(from, to, t) {
+    if (typeof from === "number" && typeof to === "number") return from + (to - from) * t;
+    if (Array.isArray(from) && Array.isArray(to)) {
+        return from.map((value, index) => index < to.length ? interpolateState(value, to[index], t) : structuredClone(value));
+    }
+    if (isPlainObject(from) && isPlainObject(to)) {
+        const result = {};
+        Object.keys(from).forEach((key) => {
+            result[key] = Object.hasOwn(to, key) ? interpolateState(from[key], to[key], t) : structuredClone(from[key]);
+        });
+        return result;
+    }
+    return structuredClone(from);
+}
+
+/**
+ * Get the state at a point in time from a buffer of snapshots (sorted by time). Doesn't extrapolate past the newest snapshot
+ * @param {Array} snapshots - Array of { time, state }
+ * @param {number} time - Render time, in the sender's clock
+ * @returns {*} State at that time
+ */
+export function sampleSnapshots(snapshots, time) {
+    if (!snapshots.length) return undefined;
+    const newest = snapshots[snapshots.length - 1];
+    if (time >= newest.time) return structuredClone(newest.state);
+    if (time <= snapshots[0].time) return structuredClone(snapshots[0].state);
+
+    const toIndex = snapshots.findIndex(snapshot => snapshot.time > time);
+    const from = snapshots[toIndex - 1];
+    const to = snapshots[toIndex];
+    return interpolateState(from.state, to.state, (time - from.time) / (to.time - from.time));
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} - If the value is an object (not an array or null)
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
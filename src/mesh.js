@@ -0,0 +1,341 @@
+// Mesh links between the members of a mesh room (every peer connects to every other peer)
+
+const CONSOLE_PREFIX = "PlayPeer mesh: ";
+
+/**
+ * Mesh connections of a peer: opens and accepts the links to the other members (handshake with room id and password,
+ * storage sync by vector clock), sends heartbeats with the own member list, connects to members it doesn't know yet and
+ * drops duplicate operations. Room logic (join checks, validation, presence, moderation) is left to the callbacks
+ * @class
+ */
+export class MeshNetwork {
+    #links = new Map(); // Map of peer IDs to { connection, metadata, joinedAt, spectator, lastSeen }
+    #pending = new Set(); // IDs of peers that a connection is being opened to
+    #seenOperations = new Map(); // Uuids of received operations mapped to when they arrived, to drop duplicates
+    #heartbeatInterval;
+    #options;
+
+    /**
+     * @param {object} options
+     * @param {object} options.connectionPolicy - connectionTimeout, joinRequestTimeout, heartbeatInterval and heartbeatTimeout in ms
+     * @param {function} options.getPeer - Returns the transport peer
+     * @param {function} options.getMember - Returns this peer's { id, roomId, password, metadata, spectator, joinedAt, vectorClock }
+     * @param {function} options.getSyncUpdates - Receives a peer's vector clock, returns the property updates it hasn't seen
+     * @param {function} options.isBanned - Receives a peer id, returns true if it may not connect
+     * @param {function} options.onJoinRequest - Receives (connection, request) of a peer joining the room through this one
+     * @param {function} options.onReject - Receives (connection, code, reason) of a peer that isn't a member
+     * @param {function} options.onLinkOpened - Receives (peerId, ownJoinedAt?) once a link is open
+     * @param {function} options.onLinkClosed - Receives the peer id of a link that closed or timed out
+     * @param {function} options.onUpdates - Receives (peerId, updates, atomic) with property updates that weren't seen before
+     * @param {function} options.onMessage - Receives (peerId, data) for all other messages of a member
+     * @param {function} options.onError - Receives an error message
+     */
+    constructor(options) {
+        this.#options = options;
+    }
+
+    /**
+     * Handle a mesh connection opened by another peer: either a new peer joining through this one, or a member
+     * that was let in by another peer and now connects to everyone
+     * @param {object} connection
+     */
+    handleConnection(connection) {
+        const peerId = connection.peer;
+
+        // Connections that don't complete the handshake in time are closed
+        setTimeout(() => {
+            if (this.#links.get(peerId)?.connection === connection) return;
+            try { connection.close(); } catch { }
+        }, this.#options.connectionPolicy.joinRequestTimeout);
+
+        connection.on('data', (data) => {
+            if (!data || !data?.type) return;
+            if (this.#links.get(peerId)?.connection === connection) return this.handleMessage(connection, data);
+            if (data.type === 'join_request') this.#options.onJoinRequest(connection, data);
+            if (data.type === 'mesh_hello') this.#handleHello(connection, data);
+        });
+
+        connection.on('error', (error) => {
+            this.#options.onError("Error in mesh connection: " + error);
+        });
+    }
+
+    /**
+     * Accept a connection from a member of the room
+     * @private
+     * @param {object} connection
+     * @param {object} hello - { roomId, password, metadata, spectator, joinedAt, vectorClock }
+     */
+    #handleHello(connection, hello) {
+        const peerId = connection.peer;
+        const member = this.#options.getMember();
+        if (!hello.roomId || hello.roomId !== member.roomId || (member.password && hello.password !== member.password)) {
+            return this.#options.onReject(connection, "rejected", "Not a member of this room.");
+        }
+        // Both peers connected to each other at the same time - keep the connection opened by the lower id
+        if (this.#pending.has(peerId) && member.id < peerId) return connection.close();
+
+        this.addLink(connection, { metadata: hello.metadata, joinedAt: hello.joinedAt, spectator: Boolean(hello.spectator) });
+        try {
+            connection.send({
+                type: 'mesh_welcome',
+                metadata: member.metadata,
+                spectator: member.spectator,
+                joinedAt: member.joinedAt,
+                vectorClock: member.vectorClock,
+                updates: this.#options.getSyncUpdates(hello.vectorClock)
+            });
+        } catch (error) {
+            this.#options.onError("Error sending mesh welcome: " + error);
+        }
+    }
+
+    /**
+     * Open a connection to a member of the room
+     * @param {string} peerId
+     */
+    connect(peerId) {
+        const member = this.#options.getMember();
+        if (typeof peerId !== "string" || peerId === member.id || this.#links.has(peerId) || this.#pending.has(peerId) || this.#options.isBanned(peerId)) return;
+        this.#pending.add(peerId);
+
+        let connection;
+        try {
+            connection = this.#options.getPeer().connect(peerId, { reliable: true, metadata: { mesh: true } });
+        } catch (error) {
+            this.#pending.delete(peerId);
+            return this.#options.onError("Error connecting to mesh peer: " + error);
+        }
+        const giveUp = () => {
+            if (this.#links.get(peerId)?.connection === connection) return;
+            if (this.#pending.delete(peerId)) {
+                try { connection.close(); } catch { }
+            }
+        };
+        setTimeout(giveUp, this.#options.connectionPolicy.connectionTimeout);
+
+        connection.on('open', () => {
+            const { roomId, password, metadata, spectator, joinedAt, vectorClock } = this.#options.getMember();
+            try {
+                connection.send({ type: 'mesh_hello', roomId, password, metadata, spectator, joinedAt, vectorClock });
+            } catch (error) {
+                this.#options.onError("Error sending mesh hello: " + error);
+            }
+        });
+
+        connection.on('data', (data) => {
+            if (!data || !data?.type) return;
+            if (this.#links.get(peerId)?.connection === connection) return this.handleMessage(connection, data);
+            if (data.type === 'join_rejected') return giveUp();
+            if (data.type !== 'mesh_welcome' || !this.#pending.delete(peerId)) return;
+
+            this.addLink(connection, { metadata: data.metadata, joinedAt: data.joinedAt, spectator: Boolean(data.spectator) });
+            this.#receiveUpdates(peerId, data.updates, { direct: false });
+            try {
+                connection.send({ type: 'mesh_sync', updates: this.#options.getSyncUpdates(data.vectorClock) }); // Whatever the peer missed from this one
+            } catch (error) {
+                this.#options.onError("Error sending mesh sync: " + error);
+            }
+        });
+
+        connection.on('close', () => this.#pending.delete(peerId));
+        connection.on('error', () => this.#pending.delete(peerId)); // Unreachable peers are retried on the next heartbeat
+    }
+
+    /**
+     * Register an open connection as link to a member (replacing an older one to the same peer)
+     * @param {object} connection
+     * @param {object} info - { metadata, joinedAt, spectator } of the peer
+     * @param {number} [ownJoinedAt] - Join time of this peer, if it was just assigned
+     */
+    addLink(connection, { metadata, joinedAt, spectator }, ownJoinedAt) {
+        const peerId = connection.peer;
+        const staleLink = this.#links.get(peerId);
+        this.#links.set(peerId, { connection, metadata, joinedAt: typeof joinedAt === "number" ? joinedAt : Date.now(), spectator: Boolean(spectator), lastSeen: Date.now() });
+        if (staleLink && staleLink.connection !== connection) {
+            try { staleLink.connection.close(); } catch { }
+        }
+
+        connection.on('close', () => {
+            if (this.#links.get(peerId)?.connection !== connection) return; // Replaced or removed
+            this.#links.delete(peerId);
+            this.#options.onLinkClosed(peerId);
+        });
+
+        this.#options.onLinkOpened(peerId, ownJoinedAt);
+    }
+
+    /**
+     * Handle a message from a member
+     * @param {object} connection - Link to the member
+     * @param {object} data
+     */
+    handleMessage(connection, data) {
+        const peerId = connection.peer;
+        const link = this.#links.get(peerId);
+        if (link?.connection !== connection) return;
+        link.lastSeen = Date.now();
+
+        switch (data.type) {
+            case 'mesh_heartbeat':
+                // Connect to unknown members (only the lower id connects, so that two peers don't connect to each other at once)
+                if (Array.isArray(data.peers)) data.peers.forEach((id) => {
+                    if (typeof id === "string" && this.#options.getMember().id < id) this.connect(id);
+                });
+                break;
+            case 'mesh_sync':
+                this.#receiveUpdates(peerId, data.updates, { direct: false });
+                break;
+            case 'property_update':
+            case 'property_update_request':
+                if (data.update) this.#receiveUpdates(peerId, [data.update]);
+                break;
+            case 'property_batch':
+            case 'property_batch_request':
+                this.#receiveUpdates(peerId, data.updates, { atomic: Boolean(data.atomic) });
+                break;
+            default:
+                this.#options.onMessage(peerId, data);
+        }
+    }
+
+    /**
+     * Pass on the updates that weren't received before (by operation uuid). Updates sent by their author are attributed
+     * to the connection, not to the author field of the payload
+     * @private
+     * @param {string} peerId - Id of the peer that sent the updates
+     * @param {Array} updates - Property updates
+     * @param {object} [options]
+     * @param {boolean} [options.direct] - Sent by their author (not a sync of older operations), defaults to true
+     * @param {boolean} [options.atomic] - Transaction, rejected as a whole if any update is rejected
+     */
+    #receiveUpdates(peerId, updates, { direct = true, atomic = false } = {}) {
+        if (!Array.isArray(updates)) return;
+        const newUpdates = updates.filter(update => update?.key && update?.operation?.uuid && !this.#seenOperations.has(update.operation.uuid));
+        if (!newUpdates.length) return;
+        newUpdates.forEach((update) => {
+            this.#seenOperations.set(update.operation.uuid, Date.now());
+            if (direct || typeof update.operation.author !== "string") update.operation.author = peerId;
+        });
+        this.#options.onUpdates(peerId, newUpdates, atomic);
+    }
+
+    /**
+     * Send heartbeats with the own member list over all links, close silent ones
+     * and connect to members this peer doesn't know yet (e.g. ones that joined through another peer)
+     */
+    startHeartbeat() {
+        if (this.#heartbeatInterval) return;
+        const { heartbeatInterval, heartbeatTimeout } = this.#options.connectionPolicy;
+        this.#heartbeatInterval = setInterval(() => {
+            for (const [peerId, link] of this.#links) {
+                if (link.lastSeen >= Date.now() - heartbeatTimeout) continue;
+                console.warn(CONSOLE_PREFIX + `Peer ${peerId} did not send heartbeats - closing connection.`);
+                this.closeLink(peerId);
+            }
+            this.#send(this.connections, { type: 'mesh_heartbeat', peers: this.peerIds });
+
+            // Operations are only sent once by their author, duplicates can only come from syncs shortly after
+            for (const [uuid, receivedAt] of this.#seenOperations) {
+                if (receivedAt < Date.now() - 60 * 1000) this.#seenOperations.delete(uuid);
+            }
+        }, heartbeatInterval);
+    }
+
+    /**
+     * Remove the link to a member (e.g. after it was kicked)
+     * @param {string} peerId
+     * @param {number} [closeDelay] - Keep the connection open for this many ms (e.g. so that a notification arrives)
+     * @returns {boolean} - If there was a link to the peer
+     */
+    closeLink(peerId, closeDelay = 0) {
+        const link = this.#links.get(peerId);
+        if (!link) return false;
+        this.#links.delete(peerId);
+        const close = () => {
+            try { link.connection.close(); } catch { }
+        };
+        if (closeDelay > 0) setTimeout(close, closeDelay);
+        else close();
+        this.#options.onLinkClosed(peerId);
+        return true;
+    }
+
+    /**
+     * Close all links and stop the heartbeats (without triggering onLinkClosed)
+     */
+    leave() {
+        const links = [...this.#links.values()];
+        this.#links.clear();
+        this.#pending.clear();
+        this.#seenOperations.clear();
+        clearInterval(this.#heartbeatInterval);
+        this.#heartbeatInterval = undefined;
+        links.forEach(({ connection }) => {
+            try { connection.close(); } catch { }
+        });
+    }
+
+    /**
+     * Update the metadata of a member
+     * @param {string} peerId
+     * @param {*} metadata
+     */
+    setMetadata(peerId, metadata) {
+        const link = this.#links.get(peerId);
+        if (link) link.metadata = metadata;
+    }
+
+    /**
+     * @param {string} peerId
+     * @returns {object | undefined} - Open link to the member
+     */
+    getConnection(peerId) {
+        return this.#links.get(peerId)?.connection;
+    }
+
+    /**
+     * @param {string} peerId
+     * @returns {boolean} - If there is a link to the peer
+     */
+    has(peerId) {
+        return this.#links.has(peerId);
+    }
+
+    /**
+     * @param {string} peerId
+     * @returns {boolean} - If there is a link to the peer, or one is being opened
+     */
+    isMember(peerId) {
+        return this.#links.has(peerId) || this.#pending.has(peerId);
+    }
+
+    /**
+     * Send a message over a list of connections
+     * @private
+     * @param {Array} connections
+     * @param {object} message
+     */
+    #send(connections, message) {
+        connections.forEach((connection) => {
+            if (!connection?.open) return;
+            try {
+                connection.send(message);
+            } catch (error) {
+                this.#options.onError(`Failed to send ${message.type} to mesh peer ${connection.peer}: ${error}`);
+            }
+        });
+    }
+
+    /** @returns {Array} Connections of all links */
+    get connections() { return [...this.#links.values()].map(link => link.connection); }
+
+    /** @returns {Array<string>} IDs of all linked members */
+    get peerIds() { return [...this.#links.keys()]; }
+
+    /** @returns {Array} { id, metadata, joinedAt, spectator } of all linked members */
+    get members() { return [...this.#links].map(([id, link]) => ({ id, metadata: link.metadata, joinedAt: link.joinedAt, spectator: link.spectator })); }
+
+    /** @returns {number} Number of links */
+    get size() { return this.#links.size; }
+}
@@ -0,0 +1,125 @@
+// Persistence adapters for saving and restoring a room's state (e.g. across page reloads)
+
+const CONSOLE_PREFIX = "PlayPeer persistence: ";
+
+/**
+ * Adapter interface: async save(key, snapshot), async load(key) (resolves with the snapshot or null) and async remove(key).
+ * Snapshots are plain, JSON-serializable objects.
+ */
+
+/**
+ * In-memory persistence (survives destroy() and re-creating a PlayPeer instance, but not a page reload)
+ * @class
+ */
+export class MemoryPersistence {
+    #snapshots = new Map();
+
+    async save(key, snapshot) {
+        this.#snapshots.set(key, structuredClone(snapshot));
+    }
+
+    async load(key) {
+        return this.#snapshots.has(key) ? structuredClone(this.#snapshots.get(key)) : null;
+    }
+
+    async remove(key) {
+        this.#snapshots.delete(key);
+    }
+}
+
+/**
+ * localStorage persistence (synchronous storage, limited to a few MB)
+ * @class
+ */
+export class LocalStoragePersistence {
+    #prefix;
+
+    /**
+     * @param {string} [prefix] - Prefix for the localStorage keys
+     */
+    constructor(prefix = "playpeer:") {
+        this.#prefix = prefix;
+    }
+
+    async save(key, snapshot) {
+        localStorage.setItem(this.#prefix + key, JSON.stringify(snapshot));
+    }
+
+    async load(key) {
+        const item = localStorage.getItem(this.#prefix + key);
+        if (!item) return null;
+        try {
+            return JSON.parse(item);
+        } catch (error) {
+            console.error(CONSOLE_PREFIX + `Failed to parse snapshot "${key}":`, error);
+            return null;
+        }
+    }
+
+    async remove(key) {
+        localStorage.removeItem(this.#prefix + key);
+    }
+}
+
+/**
+ * IndexedDB persistence (asynchronous, suited for large storage objects)
+ * @class
+ */
+export class IndexedDBPersistence {
+    #databaseName;
+    #storeName = "snapshots";
+    #database;
+
+    /**
+     * @param {string} [databaseName] - Name of the IndexedDB database
+     */
+    constructor(databaseName = "playpeer") {
+        this.#databaseName = databaseName;
+    }
+
+    async save(key, snapshot) {
+        await this.#request("readwrite", store => store.put(snapshot, key));
+    }
+
+    async load(key) {
+        return (await this.#request("readonly", store => store.get(key))) ?? null;
+    }
+
+    async remove(key) {
+        await this.#request("readwrite", store => store.delete(key));
+    }
+
+    /**
+     * Open the database (once)
+     * @returns {Promise<IDBDatabase>}
+     */
+    #open() {
+        if (!this.#database) {
+            this.#database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.#databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.#storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.#database = undefined;
+                    reject(request.error);
+                };
+            });
+        }
+        return this.#database;
+    }
+
+    /**
+     * Run a request against the object store
+     * @param {string} mode - Transaction mode
+     * @param {function} createRequest - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} - Request result
+     */
+    async #request(mode, createRequest) {
+        const database = await this.#open();
+        return new Promise((resolve, reject) => {
+            const request = createRequest(database.transaction(this.#storeName, mode).objectStore(this.#storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
@@ -0,0 +1,111 @@
+// Session recording and replay of the storage history (e.g. for match replays, bug reports and regression tests)
+
+const RECORDING_VERSION = 1;
+
+/**
+ * Collects the operations of a CRDT manager (see CRDTManager.setOperationListener) and room events with timestamps
+ * @class
+ */
+export class SessionRecorder {
+    #startedAt = Date.now();
+    #initialState;
+    #info;
+    #entries = []; // Array of { time, type, ... } with time in ms since the start of the recording
+
+    /**
+     * @param {object} initialState - CRDT manager state at the start of the recording (see CRDTManager.getState)
+     * @param {object} [info] - Extra fields stored with the recording (e.g. roomId, peerId, peers)
+     */
+    constructor(initialState, info = {}) {
+        this.#initialState = structuredClone(initialState);
+        this.#info = structuredClone(info);
+    }
+
+    /**
+     * Add an entry to the log
+     * @param {string} type - "operation", "state", "delta", "revert" or "event"
+     * @param {object} data - Entry data (copied)
+     */
+    record(type, data) {
+        this.#entries.push({ time: Date.now() - this.#startedAt, type, ...structuredClone(data) });
+    }
+
+    /**
+     * @returns {object} Recording as plain object (can be serialized with JSON.stringify)
+     */
+    export() {
+        return {
+            version: RECORDING_VERSION,
+            ...structuredClone(this.#info),
+            startedAt: this.#startedAt,
+            duration: Date.now() - this.#startedAt,
+            initialState: structuredClone(this.#initialState),
+            entries: structuredClone(this.#entries)
+        };
+    }
+}
+
+/**
+ * Feed a recording into a CRDT manager, keeping the recorded timing (divided by the speed). Without a network, the same
+ * operations are applied in the same order, so the manager goes through the same values as the recorded one
+ * @param {object} recording - Recording (see SessionRecorder.export)
+ * @param {object} crdtManager - CRDT manager to replay into (its state is replaced by the recording's initial state)
+ * @param {object} [options]
+ * @param {number} [options.speed] - Playback speed (1 = real time, 2 = twice as fast, Infinity = no delays), defaults to 1
+ * @param {function} [options.onEntry] - Called with each entry after it was applied (e.g. to trigger events), first with a "start" entry once the initial state was imported
+ * @param {AbortSignal} [options.signal] - Stops the replay when aborted
+ * @returns {Promise<boolean>} Resolves with true once all entries were applied, or false if the replay was stopped
+ */
+export async function replaySession(recording, crdtManager, options = {}) {
+    const { speed = 1, onEntry, signal } = options;
+    if (recording?.version !== RECORDING_VERSION || !Array.isArray(recording.entries)) throw new Error("Invalid or unsupported recording.");
+    if (typeof speed !== "number" || !(speed > 0)) throw new Error("Replay speed has to be a positive number.");
+
+    if (signal?.aborted) return false;
+    crdtManager.importState(recording.initialState);
+    onEntry?.({ time: 0, type: "start" });
+
+    let lastTime = 0;
+    for (const entry of recording.entries) {
+        const delay = (entry.time - lastTime) / speed;
+        lastTime = entry.time;
+        if (delay > 0 && !(await wait(delay, signal))) return false;
+        if (signal?.aborted) return false;
+
+        switch (entry.type) {
+            case "operation":
+                crdtManager.importPropertyUpdate(entry.update);
+                break;
+            case "state":
+                crdtManager.importState(entry.state);
+                break;
+            case "delta":
+                crdtManager.importDelta(entry.delta);
+                break;
+            case "revert":
+                crdtManager.revertOperation(entry.key, entry.uuid);
+                break;
+        }
+        onEntry?.(entry);
+    }
+    return true;
+}
+
+/**
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<boolean>} - Resolves with false if the signal was aborted before the time passed
+ */
+function wait(ms, signal) {
+    return new Promise((resolve) => {
+        const onAbort = () => {
+            clearTimeout(timeout);
+            resolve(false);
+        };
+        const timeout = setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve(true);
+        }, ms);
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}
@@ -0,0 +1,92 @@
+// Per-key write permissions for the synced storage
+
+const CONSOLE_PREFIX = "PlayPeer storage permissions: ";
+const PERMISSIONS = ["everyone", "host", "owner"];
+
+class StoragePermissions {
+    #rules = []; // Array of [keyPattern, permission] pairs, in declaration order
+    #matchers = new Map(); // Cached regular expressions per key pattern
+
+    /**
+     * Set (or remove) the permission for a key pattern
+     * @param {string} keyPattern - Exact key, or pattern with "*" wildcards and an optional "{peerId}" placeholder (e.g. "player:{peerId}")
+     * @param {string | string[] | null} permission - "everyone", "host", "owner" (peer whose id fills {peerId}), an array of peer ids, or null to remove the rule
+     * @returns {boolean} - If the rule was valid
+     */
+    set(keyPattern, permission) {
+        if (typeof keyPattern !== "string" || !keyPattern) return false;
+        if (permission !== null && !PERMISSIONS.includes(permission) && !Array.isArray(permission)) return false;
+        if (keyPattern.split("{peerId}").length > 2) {
+            console.warn(CONSOLE_PREFIX + `Key pattern "${keyPattern}" may only contain one {peerId} placeholder.`);
+            return false;
+        }
+        if (permission === "owner" && !keyPattern.includes("{peerId}")) {
+            console.warn(CONSOLE_PREFIX + `Permission "owner" requires a {peerId} placeholder in the key pattern "${keyPattern}".`);
+            return false;
+        }
+
+        const index = this.#rules.findIndex(([pattern]) => pattern === keyPattern);
+        if (permission === null) {
+            if (index !== -1) this.#rules.splice(index, 1);
+            return true;
+        }
+
+        if (index !== -1) this.#rules[index] = [keyPattern, permission];
+        else this.#rules.push([keyPattern, permission]);
+        return true;
+    }
+
+    /**
+     * Replace all rules (e.g. with the rules received from the host)
+     * @param {Array} rules - Array of [keyPattern, permission] pairs
+     */
+    import(rules) {
+        if (!Array.isArray(rules)) return;
+        this.#rules = [];
+        rules.forEach(([keyPattern, permission]) => this.set(keyPattern, permission));
+    }
+
+    /**
+     * Check if a peer may write a key. Exact key rules take precedence over patterns, patterns apply in declaration order
+     * @param {string} key - Storage key
+     * @param {string} peerId - Id of the writing peer
+     * @param {boolean} isHost - If the writing peer is the host
+     * @returns {boolean}
+     */
+    canWrite(key, peerId, isHost) {
+        const exactRule = this.#rules.find(([pattern]) => pattern === key);
+        const rule = exactRule || this.#rules.find(([pattern]) => this.#match(pattern, key));
+        if (!rule) return true; // No rule - everyone may write
+
+        const [pattern, permission] = rule;
+        if (permission === "everyone") return true;
+        if (permission === "host") return Boolean(isHost);
+        if (permission === "owner") return this.#match(pattern, key)?.groups?.peerId === peerId;
+        if (Array.isArray(permission)) return permission.includes(peerId);
+        return false;
+    }
+
+    /**
+     * Match a key against a pattern
+     * @param {string} pattern
+     * @param {string} key
+     * @returns {Array | null} - Regular expression match
+     */
+    #match(pattern, key) {
+        if (!this.#matchers.has(pattern)) {
+            const source = pattern
+                .split("{peerId}")
+                .map(part => part.split("*").map(s => s.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*"))
+                .join("(?<peerId>.+)");
+            this.#matchers.set(pattern, new RegExp(`^${source}$`));
+        }
+        return this.#matchers.get(pattern).exec(key);
+    }
+
+    // Get all rules (serializable)
+    get rules() {
+        return structuredClone(this.#rules);
+    }
+}
+
+export { StoragePermissions };
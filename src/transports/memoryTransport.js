@@ -0,0 +1,366 @@
+// In-memory transport – connects PlayPeer instances in the same process through a shared hub (tests, headless bots)
+
+const CONSOLE_PREFIX = "PlayPeer memory transport: ";
+
+/**
+ * Minimal event emitter matching the subset of the PeerJS emitter API that PlayPeer uses
+ * @private
+ */
+class MemoryEmitter {
+    #listeners = new Map();
+
+    on(event, callback) {
+        if (!this.#listeners.has(event)) this.#listeners.set(event, []);
+        this.#listeners.get(event).push(callback);
+        return this;
+    }
+
+    once(event, callback) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            callback(...args);
+        };
+        return this.on(event, wrapper);
+    }
+
+    off(event, callback) {
+        const listeners = this.#listeners.get(event);
+        if (!listeners) return this;
+        const index = listeners.indexOf(callback);
+        if (index !== -1) listeners.splice(index, 1);
+        return this;
+    }
+
+    emit(event, ...args) {
+        [...(this.#listeners.get(event) || [])].forEach((callback) => {
+            try {
+                callback(...args);
+            } catch (error) {
+                console.error(CONSOLE_PREFIX + `${event} listener error:`, error);
+            }
+        });
+    }
+}
+
+/**
+ * One end of an in-memory data connection
+ * @private
+ */
+class MemoryConnection extends MemoryEmitter {
+    #hub;
+    #remote;
+    #closed = false;
+
+    /**
+     * @param {MemoryTransport} hub - Hub that delivers the messages
+     * @param {string} peer - Id of the remote peer
+     * @param {object} [options] - Connection options (e.g. reliable)
+     */
+    constructor(hub, peer, options = {}) {
+        super();
+        this.#hub = hub;
+        this.peer = peer;
+        this.options = options;
+        this.reliable = options.reliable !== false;
+        this.metadata = options.metadata;
+        this.open = false;
+    }
+
+    /**
+     * Link this end to the remote end
+     * @param {MemoryConnection} remote
+     */
+    link(remote) {
+        this.#remote = remote;
+    }
+
+    /**
+     * Mark the connection as open
+     */
+    markOpen() {
+        if (this.open || this.#closed) return;
+        this.open = true;
+        this.emit('open');
+    }
+
+    /**
+     * Send data to the remote end (data is cloned, as if it had been serialized)
+     * @param {*} data
+     */
+    send(data) {
+        if (!this.open) {
+            const error = new Error("Connection is not open.");
+            error.type = "not-open-yet";
+            this.emit('error', error);
+            return;
+        }
+        const remote = this.#remote;
+        const copy = structuredClone(data);
+        this.#hub.deliver(() => {
+            if (remote?.open) remote.emit('data', copy);
+        }, !this.reliable);
+    }
+
+    /**
+     * Close both ends of the connection
+     */
+    close() {
+        if (this.#closed) return;
+        this.#closed = true;
+        const remote = this.#remote;
+        this.#remote = undefined;
+        const wasOpen = this.open;
+        this.open = false;
+        if (wasOpen) this.emit('close');
+        remote?.close();
+    }
+}
+
+/**
+ * Peer registered on an in-memory hub
+ * @private
+ */
+class MemoryPeer extends MemoryEmitter {
+    #hub;
+    #connections = new Set();
+
+    /**
+     * @param {MemoryTransport} hub - Hub the peer is registered on
+     * @param {string} id - Unique peer id
+     */
+    constructor(hub, id) {
+        super();
+        this.#hub = hub;
+        this.id = id;
+        this.destroyed = false;
+        this.disconnected = false;
+
+        this.#hub.deliver(() => {
+            if (this.destroyed) return;
+            if (!this.#hub.register(this)) return this.#emitError("unavailable-id", `ID "${id}" is taken`);
+            this.emit('open', id);
+        });
+    }
+
+    /**
+     * Connect to another peer on the same hub
+     * @param {string} peerId - Id of the remote peer
+     * @param {object} [options] - Connection options (e.g. reliable)
+     * @returns {MemoryConnection}
+     */
+    connect(peerId, options = {}) {
+        const connection = new MemoryConnection(this.#hub, peerId, options);
+        if (this.destroyed || this.disconnected) {
+            this.#hub.deliver(() => this.#emitError("disconnected", "Cannot connect to new Peer after disconnecting from server."));
+            return connection;
+        }
+        this.#track(connection);
+
+        this.#hub.deliver(() => {
+            const remotePeer = this.#hub.getPeer(peerId);
+            if (!remotePeer || remotePeer.destroyed) return this.#emitError("peer-unavailable", `Could not connect to peer ${peerId}`);
+            if (this.#hub.isBlocked(this.id, peerId)) return; // Unreachable - the connection never opens
+
+            const remoteConnection = new MemoryConnection(this.#hub, this.id, options);
+            connection.link(remoteConnection);
+            remoteConnection.link(connection);
+            remotePeer.acceptConnection(remoteConnection);
+
+            // Open both ends once the remote side had the chance to attach its listeners
+            this.#hub.deliver(() => {
+                if (this.destroyed || remotePeer.destroyed) return connection.close();
+                remoteConnection.markOpen();
+                connection.markOpen();
+            });
+        });
+
+        return connection;
+    }
+
+    /**
+     * Accept a connection from a remote peer
+     * @param {MemoryConnection} connection
+     */
+    acceptConnection(connection) {
+        this.#track(connection);
+        this.emit('connection', connection);
+    }
+
+    /**
+     * Close all connections to a remote peer (simulates a network drop)
+     * @param {string} peerId - Id of the remote peer
+     */
+    dropConnectionsTo(peerId) {
+        [...this.#connections].filter(connection => connection.peer === peerId).forEach(connection => connection.close());
+    }
+
+    /**
+     * Simulate losing the connection to the signalling server (data connections stay intact)
+     */
+    disconnect() {
+        if (this.disconnected || this.destroyed) return;
+        this.disconnected = true;
+        this.#hub.unregister(this);
+        this.emit('disconnected', this.id);
+    }
+
+    /**
+     * Re-register on the hub after disconnect()
+     */
+    reconnect() {
+        if (this.destroyed) throw new Error("This peer cannot reconnect to the server. It has already been destroyed.");
+        if (!this.disconnected) return;
+        this.disconnected = false;
+        this.#hub.deliver(() => {
+            if (this.destroyed) return;
+            if (!this.#hub.register(this)) {
+                this.disconnected = true; // Like PeerJS, a failed reconnect leaves the peer disconnected
+                this.#emitError("unavailable-id", `ID "${this.id}" is taken`);
+                this.emit('disconnected', this.id);
+                return;
+            }
+            this.emit('open', this.id);
+        });
+    }
+
+    /**
+     * Close all connections and leave the hub
+     */
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+        this.#connections.forEach(connection => connection.close());
+        this.#connections.clear();
+        this.#hub.unregister(this);
+        this.emit('close');
+    }
+
+    #track(connection) {
+        this.#connections.add(connection);
+        connection.on('close', () => this.#connections.delete(connection));
+    }
+
+    #emitError(type, message) {
+        const error = new Error(message);
+        error.type = type;
+        this.emit('error', error);
+    }
+}
+
+/**
+ * Shared in-memory hub – pass the same instance as transport to every PlayPeer that should be able to connect
+ * @class
+ */
+export class MemoryTransport {
+    #peers = new Map();
+    #blockedPairs = new Set(); // Pairs of peer ids that can't reach each other
+    #latency;
+    #packetLoss;
+
+    /**
+     * @param {object} [options]
+     * @param {number} [options.latency] - Simulated one-way delay in ms (default 0)
+     * @param {number} [options.packetLoss] - Chance (0-1) that a message on an unreliable connection is dropped (default 0)
+     */
+    constructor(options = {}) {
+        this.#latency = options.latency || 0;
+        this.#packetLoss = options.packetLoss || 0;
+    }
+
+    /**
+     * Create a peer on this hub
+     * @param {string} id - Unique peer id
+     * @returns {MemoryPeer}
+     */
+    createPeer(id) {
+        return new MemoryPeer(this, id);
+    }
+
+    /**
+     * Register a peer (fails if the id is taken)
+     * @param {MemoryPeer} peer
+     * @returns {boolean} - If registration was successful
+     */
+    register(peer) {
+        const existing = this.#peers.get(peer.id);
+        if (existing && existing !== peer && !existing.destroyed) return false;
+        this.#peers.set(peer.id, peer);
+        return true;
+    }
+
+    /**
+     * Remove a peer from the hub
+     * @param {MemoryPeer} peer
+     */
+    unregister(peer) {
+        if (this.#peers.get(peer.id) === peer) this.#peers.delete(peer.id);
+    }
+
+    /**
+     * Get a registered peer
+     * @param {string} id
+     * @returns {MemoryPeer | undefined}
+     */
+    getPeer(id) {
+        return this.#peers.get(id);
+    }
+
+    /**
+     * Close all connections between two peers (simulates a network drop, both peers stay registered)
+     * @param {string} peerIdA
+     * @param {string} peerIdB
+     */
+    dropConnections(peerIdA, peerIdB) {
+        this.#peers.get(peerIdA)?.dropConnectionsTo(peerIdB);
+    }
+
+    /**
+     * Split peers into two groups that can't reach each other (existing connections between them are dropped)
+     * @param {string[]} peerIdsA
+     * @param {string[]} peerIdsB
+     */
+    partition(peerIdsA, peerIdsB) {
+        peerIdsA.forEach((peerIdA) => {
+            peerIdsB.forEach((peerIdB) => {
+                this.#blockedPairs.add(this.#pairKey(peerIdA, peerIdB));
+                this.dropConnections(peerIdA, peerIdB);
+            });
+        });
+    }
+
+    /**
+     * Remove all partitions
+     */
+    heal() {
+        this.#blockedPairs.clear();
+    }
+
+    /**
+     * Check if two peers can't reach each other
+     * @param {string} peerIdA
+     * @param {string} peerIdB
+     * @returns {boolean}
+     */
+    isBlocked(peerIdA, peerIdB) {
+        return this.#blockedPairs.has(this.#pairKey(peerIdA, peerIdB));
+    }
+
+    #pairKey(peerIdA, peerIdB) {
+        return JSON.stringify([peerIdA, peerIdB].sort());
+    }
+
+    /**
+     * Schedule a delivery asynchronously, as a network would
+     * @param {function} callback
+     * @param {boolean} [unreliable] - If the delivery may be dropped
+     */
+    deliver(callback, unreliable) {
+        if (unreliable && this.#packetLoss && Math.random() < this.#packetLoss) return;
+        setTimeout(callback, this.#latency);
+    }
+
+    /**
+     * @returns {string[]} Ids of all peers registered on this hub
+     */
+    get peerIds() { return [...this.#peers.keys()]; }
+}
@@ -0,0 +1,23 @@
+// Default transport – connects peers via PeerJS (signalling server + WebRTC data channels)
+
+import { Peer } from 'peerjs';
+
+/**
+ * Transport interface used by PlayPeer. A transport creates a peer object that
+ * - emits 'open', 'connection', 'disconnected', 'error' and 'close' (on, once, off)
+ * - exposes connect(peerId, options), reconnect(), destroy() and the destroyed and disconnected flags
+ * Connections returned by connect() or passed to 'connection' expose peer, open, send(data), close()
+ * and emit 'open', 'data', 'close' and 'error'.
+ * @class
+ */
+export class PeerJSTransport {
+    /**
+     * Create a PeerJS peer
+     * @param {string} id - Unique id for signalling
+     * @param {object} [options] - PeerJS options (ice config, host, port etc.)
+     * @returns {Peer} - PeerJS peer
+     */
+    createPeer(id, options) {
+        return new Peer(id, options);
+    }
+}